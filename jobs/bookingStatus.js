@@ -0,0 +1,65 @@
+const Booking = require('../models/Booking');
+const { cancellationUpdate } = require('../utils/cancellation');
+const { settleCancelledBooking } = require('../payments/bookingPayments');
+
+const DEFAULT_INTERVAL_MS = 15 * 60 * 1000;
+
+// Move confirmed bookings whose check-out has passed to completed, and cancel
+// pending requests the owner never answered before check-in.
+const updateBookingStatuses = async (now = new Date()) => {
+  // One at a time so each transition is recorded and announced
+  const finished = await Booking.find({ status: 'confirmed', checkOut: { $lte: now } }).select('_id');
+  let completed = 0;
+
+  for (const { _id } of finished) {
+    const booking = await Booking.transitionStatus(_id, 'confirmed', 'completed', { role: 'system' });
+    if (booking) completed += 1;
+  }
+
+  // Cancelled one at a time so each releases its booked nights
+  const reason = 'Not confirmed by the host before check-in';
+  const stale = await Booking.find({ status: 'pending', checkIn: { $lte: now } });
+  let expired = 0;
+
+  for (const booking of stale) {
+    try {
+      const cancellation = cancellationUpdate(booking, 'system', now);
+      const cancelled = await Booking.transitionStatus(
+        booking._id,
+        'pending',
+        'cancelled',
+        { role: 'system', reason },
+        cancellation
+      );
+      if (!cancelled) continue;
+
+      expired += 1;
+      await settleCancelledBooking(booking, cancellation.refund.amount);
+    } catch (error) {
+      console.error(`Failed to expire booking ${booking._id}:`, error);
+    }
+  }
+
+  return { completed, expired };
+};
+
+// Run updateBookingStatuses now and then every BOOKING_STATUS_INTERVAL_MS
+const startBookingStatusJob = () => {
+  const interval = Number(process.env.BOOKING_STATUS_INTERVAL_MS) || DEFAULT_INTERVAL_MS;
+
+  const run = async () => {
+    try {
+      const { completed, expired } = await updateBookingStatuses();
+      if (completed || expired) {
+        console.log(`📅 Bookings updated: ${completed} completed, ${expired} expired`);
+      }
+    } catch (error) {
+      console.error('Booking status job error:', error);
+    }
+  };
+
+  run();
+  return setInterval(run, interval).unref();
+};
+
+module.exports = { updateBookingStatuses, startBookingStatusJob };
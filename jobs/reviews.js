@@ -0,0 +1,50 @@
+const Review = require('../models/Review');
+const GuestReview = require('../models/GuestReview');
+
+const DEFAULT_INTERVAL_MS = 60 * 60 * 1000;
+
+// Publish every review whose window has closed without the other side reviewing
+const publishDueReviews = async (now = new Date()) => {
+  const [reviews, guestReviews] = await Promise.all([
+    Review.find({ published: false, publishAt: { $lte: now } }).select('property'),
+    GuestReview.find({ published: false, publishAt: { $lte: now } }).select('guest')
+  ]);
+
+  await Promise.all([
+    Review.updateMany({ _id: { $in: reviews.map(r => r._id) } }, { published: true, publishedAt: now }),
+    GuestReview.updateMany({ _id: { $in: guestReviews.map(r => r._id) } }, { published: true, publishedAt: now })
+  ]);
+
+  const propertyIds = [...new Set(reviews.map(r => r.property.toString()))];
+  const guestIds = [...new Set(guestReviews.map(r => r.guest.toString()))];
+
+  for (const propertyId of propertyIds) {
+    await Review.recalculateRating(propertyId);
+  }
+  for (const guestId of guestIds) {
+    await GuestReview.recalculateGuestRating(guestId);
+  }
+
+  return { reviews: reviews.length, guestReviews: guestReviews.length };
+};
+
+// Run publishDueReviews now and then every REVIEW_PUBLISH_INTERVAL_MS
+const startReviewPublishingJob = () => {
+  const interval = Number(process.env.REVIEW_PUBLISH_INTERVAL_MS) || DEFAULT_INTERVAL_MS;
+
+  const run = async () => {
+    try {
+      const { reviews, guestReviews } = await publishDueReviews();
+      if (reviews || guestReviews) {
+        console.log(`⭐ Reviews published: ${reviews} property, ${guestReviews} guest`);
+      }
+    } catch (error) {
+      console.error('Review publishing job error:', error);
+    }
+  };
+
+  run();
+  return setInterval(run, interval).unref();
+};
+
+module.exports = { publishDueReviews, startReviewPublishingJob };
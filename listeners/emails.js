@@ -0,0 +1,81 @@
+const Booking = require('../models/Booking');
+const { sendEmail } = require('../mail');
+const { toDateKey } = require('../utils/availability');
+const { propertyTeam } = require('../utils/permissions');
+const events = require('../utils/events');
+
+const RECIPIENT_FIELDS = 'name email emailPreferences';
+
+// Booking with its guest and property (and the property's owner and team) loaded for templates
+const loadBooking = (id) => Booking.findById(id)
+  .populate('user', RECIPIENT_FIELDS)
+  .populate({
+    path: 'property',
+    select: 'title location owner managers',
+    populate: [
+      { path: 'owner', select: RECIPIENT_FIELDS },
+      { path: 'managers.user', select: RECIPIENT_FIELDS }
+    ]
+  });
+
+const bookingVars = (booking) => ({
+  booking,
+  property: booking.property,
+  guest: booking.user,
+  host: booking.property.owner,
+  checkIn: toDateKey(booking.checkIn),
+  checkOut: toDateKey(booking.checkOut)
+});
+
+// Send emails for account and booking events
+const registerEmailListeners = () => {
+  events.onAsync('user:registered', async ({ user, verifyUrl }) => {
+    await sendEmail(user, 'account', 'welcome', { user, verifyUrl });
+  });
+
+  events.onAsync('booking:created', async ({ booking }) => {
+    const full = await loadBooking(booking._id);
+    if (!full) return;
+
+    // Every host who can answer the request gets it, greeted by name
+    for (const host of propertyTeam(full.property)) {
+      await sendEmail(host, 'bookingRequests', 'booking-requested', { ...bookingVars(full), host });
+    }
+  });
+
+  events.onAsync('booking:statusChanged', async ({ booking, to, role }) => {
+    if (to !== 'confirmed' && to !== 'cancelled') return;
+
+    const full = await loadBooking(booking._id);
+    if (!full) return;
+    const vars = bookingVars(full);
+
+    if (to === 'confirmed') {
+      await sendEmail(full.user, 'bookingUpdates', 'booking-confirmed', vars);
+      return;
+    }
+
+    // Tell whoever did not cancel it
+    const recipients = [];
+    if (role !== 'guest') recipients.push(full.user);
+    if (role !== 'owner') recipients.push(...propertyTeam(full.property));
+
+    const reasonLine = full.cancellationReason ? `Reason: ${full.cancellationReason}` : '';
+
+    for (const recipient of recipients) {
+      const isGuest = recipient._id.toString() === full.user._id.toString();
+      const refundLine = isGuest && full.refund && full.refund.amount > 0
+        ? `A refund of ${full.refund.amount} is on its way.`
+        : '';
+
+      await sendEmail(recipient, 'bookingUpdates', 'booking-cancelled', {
+        ...vars,
+        recipient,
+        reasonLine,
+        refundLine
+      });
+    }
+  });
+};
+
+module.exports = { registerEmailListeners };
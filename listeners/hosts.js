@@ -0,0 +1,19 @@
+const Property = require('../models/Property');
+const User = require('../models/User');
+const events = require('../utils/events');
+
+// Keep host stats in step with booking activity
+const registerHostListeners = () => {
+  // A pending request is answered when the host (or an admin on their behalf) confirms
+  // or declines it, and missed when the expiry job cancels it. Guest withdrawals don't count.
+  events.onAsync('booking:statusChanged', async ({ booking, from, role }) => {
+    if (from !== 'pending' || role === 'guest') return;
+
+    const property = await Property.findById(booking.property).select('owner');
+    if (!property) return;
+
+    await User.recordHostResponse(property.owner, role !== 'system');
+  });
+};
+
+module.exports = { registerHostListeners };
@@ -0,0 +1,100 @@
+const Notification = require('../models/Notification');
+const Property = require('../models/Property');
+const { propertyTeam } = require('../utils/permissions');
+const events = require('../utils/events');
+
+// Store a notification and announce it (e.g. for realtime delivery)
+const notify = async (user, type, title, body, data = {}) => {
+  const notification = await Notification.create({ user, type, title, body, data });
+  events.emit('notification:created', { notification });
+  return notification;
+};
+
+// Notify each of a property's owner and team (see propertyTeam)
+const notifyTeam = (property, type, title, body, data) =>
+  Promise.all(propertyTeam(property).map(user => notify(user, type, title, body, data)));
+
+// Turn domain events into in-app notifications. Booking activity on the host side
+// goes to the property's owner and team.
+const registerNotificationListeners = () => {
+  events.onAsync('booking:created', async ({ booking, property }) => {
+    await notifyTeam(
+      property,
+      'booking_requested',
+      'New booking request',
+      `${booking.user.name} requested ${property.title} for ${booking.guests} guest(s)`,
+      { booking: booking._id, property: property._id }
+    );
+  });
+
+  events.onAsync('booking:statusChanged', async ({ booking, to, role }) => {
+    const property = await Property.findById(booking.property).select('title owner managers');
+    if (!property) return;
+
+    const data = { booking: booking._id, property: property._id };
+
+    if (to === 'confirmed') {
+      await notify(booking.user, 'booking_confirmed', 'Booking confirmed',
+        `Your stay at ${property.title} is confirmed`, data);
+    }
+
+    if (to === 'cancelled') {
+      const body = `The booking for ${property.title} was cancelled`;
+      if (role !== 'guest') {
+        await notify(booking.user, 'booking_cancelled', 'Booking cancelled', body, data);
+      }
+      if (role !== 'owner') {
+        await notifyTeam(property, 'booking_cancelled', 'Booking cancelled', body, data);
+      }
+    }
+
+    if (to === 'completed') {
+      await notify(booking.user, 'booking_completed', 'How was your stay?',
+        `Leave a review for ${property.title}`, data);
+      await notifyTeam(property, 'booking_completed', 'Stay completed',
+        `Leave a review for your guest at ${property.title}`, data);
+    }
+  });
+
+  events.onAsync('review:created', async ({ review, recipient, property, published }) => {
+    const body = published
+      ? 'Both reviews for your stay are now published'
+      : 'Leave your review to see it, or it will be published when the review window closes';
+    await notify(recipient, 'review_received', 'You received a review', body,
+      { booking: review.booking, property, review: review._id });
+  });
+
+  events.onAsync('host:reviewed', async ({ user, status, reason }) => {
+    if (status === 'verified') {
+      await notify(user._id, 'host_verified', 'You are now a verified host',
+        'You can start publishing listings');
+    } else {
+      await notify(user._id, 'host_rejected', 'Host application not approved',
+        reason ? `Reason: ${reason}` : 'Update your details and apply again');
+    }
+  });
+
+  // Moderation outcomes for the listing's owner
+  events.onAsync('property:statusChanged', async ({ property, to, role, reason }) => {
+    if (role !== 'admin') return;
+
+    const data = { property: property._id };
+
+    if (to === 'approved') {
+      await notify(property.owner, 'listing_approved', 'Listing approved',
+        `${property.title} was approved. Publish it to start taking bookings`, data);
+    }
+
+    if (to === 'rejected') {
+      // The reason alone, as it may use the full body length
+      await notify(property.owner, 'listing_rejected', 'Listing not approved', reason, data);
+    }
+
+    if (to === 'archived') {
+      await notify(property.owner, 'listing_archived', 'Listing taken down',
+        reason || `${property.title} was taken down by an admin`, data);
+    }
+  });
+};
+
+module.exports = { registerNotificationListeners };
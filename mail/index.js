@@ -0,0 +1,80 @@
+const path = require('path');
+const OutboxTransport = require('./transports/outbox');
+const ConsoleTransport = require('./transports/console');
+const SmtpTransport = require('./transports/smtp');
+const { renderTemplate } = require('./render');
+
+// Mail transports implement:
+//   name
+//   send({ to, subject, text, template, category }) -> resolves when handed off
+// Pick one with MAIL_TRANSPORT (default smtp in production, outbox elsewhere);
+// add others with registerMailTransport.
+
+const MAIL_FROM = process.env.MAIL_FROM || 'Rental Homes <no-reply@rentalhomes.local>';
+
+// Email categories users can opt out of (see User.emailPreferences).
+// 'account' mail (welcome, security) is always sent.
+const EMAIL_CATEGORIES = ['bookingRequests', 'bookingUpdates'];
+
+const factories = {
+  outbox: () => new OutboxTransport({
+    dir: process.env.MAIL_OUTBOX_DIR || path.join(__dirname, '..', 'outbox')
+  }),
+  console: () => new ConsoleTransport(),
+  smtp: () => {
+    if (!process.env.SMTP_HOST) {
+      throw new Error('SMTP_HOST must be set to send email over SMTP');
+    }
+    return new SmtpTransport({
+      host: process.env.SMTP_HOST,
+      port: Number(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      user: process.env.SMTP_USER,
+      pass: process.env.SMTP_PASS
+    });
+  }
+};
+
+const DEFAULT_TRANSPORT = process.env.NODE_ENV === 'production' ? 'smtp' : 'outbox';
+
+const transports = {};
+
+const getMailTransport = (name = process.env.MAIL_TRANSPORT || DEFAULT_TRANSPORT) => {
+  if (!factories[name]) {
+    throw new Error(`Unknown mail transport: ${name}`);
+  }
+  if (!transports[name]) {
+    transports[name] = factories[name]();
+  }
+  return transports[name];
+};
+
+const registerMailTransport = (name, factory) => {
+  factories[name] = factory;
+  delete transports[name];
+};
+
+// Render a template and send it to a user, unless they opted out of its category.
+// Resolves to the sent message, or null when skipped.
+const sendEmail = async (user, category, template, vars = {}) => {
+  if (category !== 'account' && user.emailPreferences && user.emailPreferences[category] === false) {
+    return null;
+  }
+
+  const { subject, text } = renderTemplate(template, vars);
+  return getMailTransport().send({
+    from: MAIL_FROM,
+    to: user.email,
+    subject,
+    text,
+    template,
+    category
+  });
+};
+
+module.exports = {
+  EMAIL_CATEGORIES,
+  getMailTransport,
+  registerMailTransport,
+  sendEmail
+};
@@ -0,0 +1,33 @@
+const fs = require('fs');
+const path = require('path');
+
+const TEMPLATES_DIR = process.env.MAIL_TEMPLATES_DIR || path.join(__dirname, 'templates');
+
+// Value at a dotted path ("booking.guests") of vars
+const lookup = (vars, key) =>
+  key.split('.').reduce((value, part) => (value == null ? undefined : value[part]), vars);
+
+// Replace {{ key }} placeholders; unknown keys render as empty strings
+const fill = (text, vars) =>
+  text.replace(/\{\{\s*([\w.]+)\s*\}\}/g, (match, key) => {
+    const value = lookup(vars, key);
+    return value == null ? '' : String(value);
+  });
+
+// Render mail/templates/<name>.txt. The first line of a template is "Subject: ...",
+// the rest (after a blank line) is the plain-text body.
+const renderTemplate = (name, vars = {}) => {
+  const source = fs.readFileSync(path.join(TEMPLATES_DIR, `${name}.txt`), 'utf8');
+  const [header, ...rest] = source.split(/\r?\n/);
+
+  if (!header.startsWith('Subject:')) {
+    throw new Error(`Email template ${name} must start with a Subject: line`);
+  }
+
+  return {
+    subject: fill(header.slice('Subject:'.length).trim(), vars),
+    text: fill(rest.join('\n').replace(/^\s*\n/, ''), vars)
+  };
+};
+
+module.exports = { renderTemplate };
@@ -0,0 +1,13 @@
+// Prints each email to the console instead of sending it
+class ConsoleTransport {
+  constructor() {
+    this.name = 'console';
+  }
+
+  async send(message) {
+    console.log(`📧 Email to ${message.to}: ${message.subject}\n${message.text}`);
+    return message;
+  }
+}
+
+module.exports = ConsoleTransport;
@@ -0,0 +1,45 @@
+const fs = require('fs');
+const path = require('path');
+
+// Writes each email as a JSON file to an outbox directory instead of sending it.
+// Tests can call startCapture to also keep the messages in memory and assert on them.
+class OutboxTransport {
+  constructor({ dir }) {
+    this.name = 'outbox';
+    this.dir = dir;
+    this.messages = null;
+  }
+
+  async send(message) {
+    const entry = { ...message, sentAt: new Date().toISOString() };
+    if (this.messages) {
+      this.messages.push(entry);
+    }
+
+    if (this.dir) {
+      await fs.promises.mkdir(this.dir, { recursive: true });
+      const file = `${Date.now()}-${Math.round(Math.random() * 1E9)}.json`;
+      await fs.promises.writeFile(path.join(this.dir, file), JSON.stringify(entry, null, 2));
+    }
+
+    return entry;
+  }
+
+  // Keep sent messages in `messages` until stopCapture
+  startCapture() {
+    this.messages = [];
+    return this.messages;
+  }
+
+  stopCapture() {
+    this.messages = null;
+  }
+
+  clear() {
+    if (this.messages) {
+      this.messages.length = 0;
+    }
+  }
+}
+
+module.exports = OutboxTransport;
@@ -0,0 +1,26 @@
+const nodemailer = require('nodemailer');
+
+// Sends email through an SMTP server (e.g. SES, Postmark, Mailgun or a local relay)
+class SmtpTransport {
+  constructor({ host, port, secure, user, pass }) {
+    this.name = 'smtp';
+    this.transporter = nodemailer.createTransport({
+      host,
+      port,
+      secure,
+      auth: user ? { user, pass } : undefined
+    });
+  }
+
+  async send(message) {
+    const info = await this.transporter.sendMail({
+      from: message.from,
+      to: message.to,
+      subject: message.subject,
+      text: message.text
+    });
+    return { ...message, messageId: info.messageId };
+  }
+}
+
+module.exports = SmtpTransport;
@@ -1,5 +1,51 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const Property = require('../models/Property');
+const { can, canOnProperty, propertyRole } = require('../utils/permissions');
+
+// Verify an access token (JWT) and load its user and session.
+// Resolves to { user, session } or { error } with the reason the token was rejected.
+// Shared by the route middleware below and the realtime socket server.
+const authenticateToken = async (token) => {
+  let decoded;
+  try {
+    const JWT_SECRET = process.env.JWT_SECRET || 'balajirao';
+    decoded = jwt.verify(token, JWT_SECRET);
+  } catch (error) {
+    return { error: 'Token is not valid' };
+  }
+
+  // Tokens are tied to a session so logging out revokes them
+  if (!decoded.sid) {
+    return { error: 'Token is not valid' };
+  }
+
+  const session = await Session.findById(decoded.sid);
+  if (!session || !session.isActive || session.user.toString() !== decoded.id) {
+    return { error: 'Session has expired or was revoked' };
+  }
+
+  // Get user from token
+  const user = await User.findById(decoded.id);
+
+  if (!user) {
+    return { error: 'User not found' };
+  }
+
+  if (!user.isActive) {
+    return { error: 'User account is deactivated' };
+  }
+
+  // Password changed (or account locked) since the token was issued
+  if ((decoded.tv || 0) !== user.tokenVersion) {
+    return { error: 'Token is no longer valid, please log in again' };
+  }
+
+  return { user, session };
+};
+
+exports.authenticateToken = authenticateToken;
 
 // Protect routes - verify JWT token
 exports.auth = async (req, res, next) => {
@@ -18,35 +64,18 @@ exports.auth = async (req, res, next) => {
       });
     }
 
-    try {
-      // Verify token
-      const JWT_SECRET = process.env.JWT_SECRET || 'balajirao';
-      const decoded = jwt.verify(token, JWT_SECRET);
-
-      // Get user from token
-      req.user = await User.findById(decoded.id);
-
-      if (!req.user) {
-        return res.status(401).json({
-          success: false,
-          message: 'User not found'
-        });
-      }
-
-      if (!req.user.isActive) {
-        return res.status(401).json({
-          success: false,
-          message: 'User account is deactivated'
-        });
-      }
+    const { user, session, error } = await authenticateToken(token);
 
-      next();
-    } catch (error) {
+    if (error) {
       return res.status(401).json({
         success: false,
-        message: 'Token is not valid'
+        message: error
       });
     }
+
+    req.user = user;
+    req.authSession = session;
+    next();
   } catch (error) {
     console.error('Auth middleware error:', error);
     res.status(500).json({
@@ -56,15 +85,65 @@ exports.auth = async (req, res, next) => {
   }
 };
 
-// Admin only access
-exports.adminOnly = (req, res, next) => {
-  if (req.user && req.user.role === 'admin') {
+// Optional authentication - sets req.user when a valid token is sent,
+// otherwise continues anonymously
+exports.optionalAuth = async (req, res, next) => {
+  try {
+    if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
+      const { user, session } = await authenticateToken(req.headers.authorization.split(' ')[1]);
+      if (user) {
+        req.user = user;
+        req.authSession = session;
+      }
+    }
+  } catch (error) {
+    // Lookup failures are treated as anonymous requests
+  }
+  next();
+};
+
+// Require an account-level permission (see utils/permissions.js),
+// e.g. router.get('/', auth, requirePermission('user:manage'), ...)
+exports.requirePermission = (permission, message = 'Access denied') => (req, res, next) => {
+  if (can(req.user, permission)) {
     next();
   } else {
     res.status(403).json({
       success: false,
-      message: 'Access denied. Admin only.'
+      message
     });
   }
 };
 
+// Require a permission on the property in req.params[param] (owner, team member or admin).
+// Loads it into req.property and the caller's relationship into req.propertyRole.
+exports.requirePropertyPermission = (permission, { param = 'id', message = 'Not authorized to manage this property' } = {}) =>
+  async (req, res, next) => {
+    try {
+      const property = await Property.findById(req.params[param]);
+
+      if (!property) {
+        return res.status(404).json({
+          success: false,
+          message: 'Property not found'
+        });
+      }
+
+      if (!canOnProperty(req.user, property, permission)) {
+        return res.status(403).json({
+          success: false,
+          message
+        });
+      }
+
+      req.property = property;
+      req.propertyRole = propertyRole(property, req.user);
+      next();
+    } catch (error) {
+      console.error('Property permission error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error while checking permissions'
+      });
+    }
+  };
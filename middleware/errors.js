@@ -0,0 +1,21 @@
+const multer = require('multer');
+
+// Global error handler. Client errors raised by middleware (a rejected upload, malformed
+// JSON, a body over the size limit) keep their 4xx status and message; anything else is a 500.
+exports.errorHandler = (err, req, res, next) => {
+  const status = err instanceof multer.MulterError ? 400 : err.status || err.statusCode;
+
+  if (status >= 400 && status < 500) {
+    return res.status(status).json({
+      success: false,
+      message: err.message
+    });
+  }
+
+  console.error(err.stack);
+  res.status(500).json({
+    success: false,
+    message: 'Something went wrong!',
+    error: process.env.NODE_ENV === 'development' ? err.message : 'Internal server error'
+  });
+};
@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+const { startOfDay, addDays } = require('../utils/availability');
+
+// One document per night held by an active booking. The unique index on
+// (property, night) lets MongoDB reject a second booking for the same night,
+// so concurrent booking requests cannot both succeed.
+const bookedNightSchema = new mongoose.Schema({
+  property: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Property',
+    required: true
+  },
+  // Midnight UTC of the night
+  night: {
+    type: Date,
+    required: true
+  },
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+bookedNightSchema.index({ property: 1, night: 1 }, { unique: true });
+bookedNightSchema.index({ booking: 1 });
+
+// Nights (midnight UTC) covered by a stay of [checkIn, checkOut); the check-out day is not a night
+const nightsOf = (checkIn, checkOut) => {
+  const nights = [];
+  const end = startOfDay(checkOut);
+  for (let night = startOfDay(checkIn); night < end; night = addDays(night, 1)) {
+    nights.push(night);
+  }
+  return nights;
+};
+
+// Claim every night of a stay for a booking.
+// Resolves to true if all nights were claimed, false if any was already taken
+// (in which case the nights claimed so far are released again).
+bookedNightSchema.statics.reserve = async function(bookingId, propertyId, checkIn, checkOut) {
+  const docs = nightsOf(checkIn, checkOut).map(night => ({
+    property: propertyId,
+    night,
+    booking: bookingId
+  }));
+
+  try {
+    await this.insertMany(docs, { ordered: true });
+    return true;
+  } catch (error) {
+    await this.release(bookingId);
+    if (error.code === 11000) {
+      return false;
+    }
+    throw error;
+  }
+};
+
+// Free the nights held by a booking
+bookedNightSchema.statics.release = function(bookingId) {
+  return this.deleteMany({ booking: bookingId });
+};
+
+module.exports = mongoose.model('BookedNight', bookedNightSchema);
@@ -1,4 +1,85 @@
 const mongoose = require('mongoose');
+const BookedNight = require('./BookedNight');
+const events = require('../utils/events');
+
+// Itemized price computed by utils/pricing at creation time
+const priceBreakdownSchema = new mongoose.Schema({
+  nights: Number,
+  guests: Number,
+  nightlyRates: [{
+    _id: false,
+    date: String,
+    price: Number,
+    rateType: {
+      type: String,
+      enum: ['base', 'weekend', 'seasonal']
+    },
+    season: String
+  }],
+  accommodation: Number,
+  discount: {
+    type: {
+      type: String,
+      enum: ['none', 'weekly', 'monthly']
+    },
+    percent: Number,
+    amount: Number
+  },
+  cleaningFee: Number,
+  extraGuests: Number,
+  extraGuestFee: Number,
+  taxes: {
+    percent: Number,
+    amount: Number
+  },
+  total: Number
+}, { _id: false });
+
+const BOOKING_STATUSES = ['pending', 'confirmed', 'cancelled', 'completed'];
+
+// Allowed status changes and who may make them.
+// 'guest' is the booking's user, 'owner' the property owner, 'system' the scheduled jobs.
+const STATUS_TRANSITIONS = {
+  pending: {
+    confirmed: ['owner', 'admin'],
+    cancelled: ['guest', 'owner', 'admin', 'system']
+  },
+  confirmed: {
+    cancelled: ['guest', 'owner', 'admin'],
+    completed: ['admin', 'system']
+  },
+  cancelled: {},
+  completed: {}
+};
+
+const statusChangeSchema = new mongoose.Schema({
+  from: {
+    type: String,
+    enum: BOOKING_STATUSES
+  },
+  to: {
+    type: String,
+    enum: BOOKING_STATUSES,
+    required: true
+  },
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  role: {
+    type: String,
+    enum: ['guest', 'owner', 'admin', 'system'],
+    required: true
+  },
+  reason: {
+    type: String,
+    maxlength: [500, 'Reason cannot be more than 500 characters']
+  },
+  changedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
 
 const bookingSchema = new mongoose.Schema({
   property: {
@@ -24,21 +105,68 @@ const bookingSchema = new mongoose.Schema({
     required: [true, 'Number of guests is required'],
     min: [1, 'At least one guest is required']
   },
+  // Breakdown of the party; guests = adults + children
+  party: {
+    adults: { type: Number, min: 1 },
+    children: { type: Number, default: 0, min: 0 },
+    infants: { type: Number, default: 0, min: 0 },
+    pets: { type: Number, default: 0, min: 0 }
+  },
   totalPrice: {
     type: Number,
     required: true,
     min: 0
   },
+  priceBreakdown: priceBreakdownSchema,
   status: {
     type: String,
-    enum: ['pending', 'confirmed', 'cancelled', 'completed'],
+    enum: BOOKING_STATUSES,
     default: 'pending'
   },
+  statusHistory: [statusChangeSchema],
   paymentStatus: {
     type: String,
-    enum: ['pending', 'paid', 'refunded'],
+    enum: ['pending', 'paid', 'partially_refunded', 'refunded'],
     default: 'pending'
   },
+  // Provider-side payment, managed by payments/bookingPayments
+  payment: {
+    provider: String,
+    intentId: String,
+    status: {
+      type: String,
+      enum: ['requires_payment', 'authorized', 'captured', 'cancelled', 'failed']
+    },
+    amount: Number,
+    currency: String,
+    capturedAmount: Number,
+    capturedAt: Date,
+    refunds: [{
+      _id: false,
+      refundId: String,
+      amount: Number,
+      createdAt: Date
+    }]
+  },
+  // Property's cancellation policy at the time of booking
+  cancellationPolicy: {
+    type: {
+      type: String
+    },
+    tiers: [{
+      _id: false,
+      daysBefore: Number,
+      refundPercent: Number
+    }]
+  },
+  // Refund computed by utils/cancellation when the booking is cancelled
+  refund: {
+    policy: String,
+    daysBeforeCheckIn: Number,
+    percent: Number,
+    amount: Number,
+    computedAt: Date
+  },
   specialRequests: {
     type: String,
     maxlength: [500, 'Special requests cannot be more than 500 characters']
@@ -58,6 +186,7 @@ const bookingSchema = new mongoose.Schema({
 bookingSchema.index({ user: 1, createdAt: -1 });
 bookingSchema.index({ property: 1, checkIn: 1 });
 bookingSchema.index({ status: 1 });
+bookingSchema.index({ 'payment.intentId': 1 }, { sparse: true });
 
 // Validate check-out is after check-in
 bookingSchema.pre('validate', function(next) {
@@ -68,6 +197,53 @@ bookingSchema.pre('validate', function(next) {
   }
 });
 
+// Record the initial status of a new booking
+bookingSchema.pre('save', function(next) {
+  if (this.isNew && this.statusHistory.length === 0) {
+    this.statusHistory.push({ to: this.status, changedBy: this.user, role: 'guest' });
+  }
+  next();
+});
+
+// Whether `role` may move a booking from one status to another
+bookingSchema.statics.canTransition = function(from, to, role) {
+  const allowed = STATUS_TRANSITIONS[from] && STATUS_TRANSITIONS[from][to];
+  return Boolean(allowed && allowed.includes(role));
+};
+
+// Atomically move a booking from `from` to `to` and record it in statusHistory.
+// `set` holds extra fields to update alongside the status. Cancelling frees the booked nights.
+// Emits booking:statusChanged on success.
+// Resolves to the updated booking, or null if its status was no longer `from`.
+bookingSchema.statics.transitionStatus = async function(id, from, to, { user, role, reason } = {}, set = {}) {
+  const now = new Date();
+  const update = { ...set, status: to };
+
+  if (to === 'cancelled') {
+    update.cancelledAt = now;
+    if (reason) update.cancellationReason = reason;
+  }
+
+  const booking = await this.findOneAndUpdate(
+    { _id: id, status: from },
+    {
+      $set: update,
+      $push: { statusHistory: { from, to, changedBy: user, role, reason, changedAt: now } }
+    },
+    { new: true, runValidators: true }
+  );
+
+  if (booking && to === 'cancelled') {
+    await BookedNight.release(booking._id);
+  }
+
+  if (booking) {
+    events.emit('booking:statusChanged', { booking, from, to, role, user });
+  }
+
+  return booking;
+};
+
 // Calculate duration in days
 bookingSchema.virtual('duration').get(function() {
   return Math.ceil((this.checkOut - this.checkIn) / (1000 * 60 * 60 * 24));
@@ -77,5 +253,10 @@ bookingSchema.virtual('duration').get(function() {
 bookingSchema.set('toJSON', { virtuals: true });
 bookingSchema.set('toObject', { virtuals: true });
 
-module.exports = mongoose.model('Booking', bookingSchema);
+const Booking = mongoose.model('Booking', bookingSchema);
+
+Booking.BOOKING_STATUSES = BOOKING_STATUSES;
+Booking.STATUS_TRANSITIONS = STATUS_TRANSITIONS;
+
+module.exports = Booking;
 
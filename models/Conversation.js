@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+// A message thread between a guest and a property's owner, about the property
+// in general (booking unset) or about one booking
+const conversationSchema = new mongoose.Schema({
+  property: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Property',
+    required: true
+  },
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+    default: null
+  },
+  guest: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  host: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  lastMessage: {
+    text: String,
+    sender: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    createdAt: Date
+  },
+  lastMessageAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Messages each side has not read yet
+  unread: {
+    guest: { type: Number, default: 0 },
+    host: { type: Number, default: 0 }
+  }
+}, {
+  timestamps: true
+});
+
+conversationSchema.index({ property: 1, guest: 1, booking: 1 }, { unique: true });
+conversationSchema.index({ guest: 1, lastMessageAt: -1 });
+conversationSchema.index({ host: 1, lastMessageAt: -1 });
+
+// 'guest', 'host', or null when the user is not part of the conversation
+conversationSchema.methods.participantRole = function(userId) {
+  const id = userId.toString();
+  if (this.guest.toString() === id) return 'guest';
+  if (this.host.toString() === id) return 'host';
+  return null;
+};
+
+module.exports = mongoose.model('Conversation', conversationSchema);
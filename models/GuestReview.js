@@ -0,0 +1,91 @@
+const mongoose = require('mongoose');
+
+const score = {
+  type: Number,
+  required: true,
+  min: [1, 'Scores must be between 1 and 5'],
+  max: [5, 'Scores must be between 1 and 5']
+};
+
+// A host's review of a guest after a completed stay
+const guestReviewSchema = new mongoose.Schema({
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+    required: true,
+    unique: true
+  },
+  property: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Property',
+    required: true
+  },
+  guest: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  host: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  rating: score,
+  categories: {
+    houseRules: score,
+    communication: score
+  },
+  comment: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Comment cannot be more than 1000 characters']
+  },
+  // Hidden until the guest reviews the stay too, or publishAt passes
+  published: {
+    type: Boolean,
+    default: false
+  },
+  publishAt: {
+    type: Date,
+    required: true
+  },
+  publishedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+guestReviewSchema.index({ guest: 1, published: 1, createdAt: -1 });
+guestReviewSchema.index({ published: 1, publishAt: 1 });
+
+// Recompute a guest's rating summary from their published reviews
+guestReviewSchema.statics.recalculateGuestRating = async function(guestId) {
+  const [stats] = await this.aggregate([
+    { $match: { guest: new mongoose.Types.ObjectId(guestId), published: true } },
+    {
+      $group: {
+        _id: null,
+        average: { $avg: '$rating' },
+        count: { $sum: 1 },
+        houseRules: { $avg: '$categories.houseRules' },
+        communication: { $avg: '$categories.communication' }
+      }
+    }
+  ]);
+
+  const round = (value) => Math.round((value || 0) * 10) / 10;
+
+  await mongoose.model('User').findByIdAndUpdate(guestId, {
+    guestRating: {
+      average: round(stats && stats.average),
+      count: stats ? stats.count : 0,
+      categories: {
+        houseRules: round(stats && stats.houseRules),
+        communication: round(stats && stats.communication)
+      }
+    }
+  });
+};
+
+module.exports = mongoose.model('GuestReview', guestReviewSchema);
@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+
+const messageSchema = new mongoose.Schema({
+  conversation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Conversation',
+    required: true
+  },
+  sender: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  text: {
+    type: String,
+    required: [true, 'Message text is required'],
+    trim: true,
+    maxlength: [2000, 'Message cannot be more than 2000 characters']
+  },
+  // Read receipt, set when the other participant reads the message
+  readAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+messageSchema.index({ conversation: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Message', messageSchema);
@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+
+const NOTIFICATION_TYPES = [
+  'booking_requested',
+  'booking_confirmed',
+  'booking_cancelled',
+  'booking_completed',
+  'review_received',
+  'host_verified',
+  'host_rejected',
+  'listing_approved',
+  'listing_rejected',
+  'listing_archived'
+];
+
+const notificationSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: NOTIFICATION_TYPES,
+    required: true
+  },
+  title: {
+    type: String,
+    required: true,
+    maxlength: [100, 'Title cannot be more than 100 characters']
+  },
+  body: {
+    type: String,
+    maxlength: [500, 'Body cannot be more than 500 characters']
+  },
+  // Ids the app can use to open the related screen
+  data: {
+    booking: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Booking'
+    },
+    property: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Property'
+    },
+    review: {
+      type: mongoose.Schema.Types.ObjectId
+    }
+  },
+  readAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+notificationSchema.index({ user: 1, createdAt: -1 });
+notificationSchema.index({ user: 1, readAt: 1 });
+
+const Notification = mongoose.model('Notification', notificationSchema);
+
+Notification.NOTIFICATION_TYPES = NOTIFICATION_TYPES;
+
+module.exports = Notification;
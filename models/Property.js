@@ -1,4 +1,156 @@
 const mongoose = require('mongoose');
+const crypto = require('crypto');
+const { keyFromUrl } = require('../storage');
+const { CANCELLATION_POLICIES } = require('../utils/cancellation');
+const { PROPERTY_TEAM_ROLES } = require('../utils/permissions');
+const events = require('../utils/events');
+
+const LISTING_STATUSES = ['draft', 'submitted', 'approved', 'rejected', 'published', 'archived'];
+
+// Allowed listing status changes and who may make them. 'host' is the owner or a team
+// member who may edit the listing; 'admin' moderates.
+const LISTING_TRANSITIONS = {
+  draft: {
+    submitted: ['host']
+  },
+  submitted: {
+    draft: ['host'],
+    approved: ['admin'],
+    rejected: ['admin']
+  },
+  // Content edits to an approved or published listing send it back for review
+  approved: {
+    published: ['host', 'admin'],
+    submitted: ['host'],
+    draft: ['host']
+  },
+  rejected: {
+    submitted: ['host'],
+    draft: ['host']
+  },
+  published: {
+    submitted: ['host'],
+    archived: ['host', 'admin']
+  },
+  // Relisting goes back through review
+  archived: {
+    draft: ['host']
+  }
+};
+
+// Listing content an admin has to review again when it changes after approval
+const MODERATED_FIELDS = [
+  'title',
+  'description',
+  'location',
+  'propertyType',
+  'bedrooms',
+  'bathrooms',
+  'area',
+  'amenities',
+  'images'
+];
+
+const listingStatusChangeSchema = new mongoose.Schema({
+  from: {
+    type: String,
+    enum: LISTING_STATUSES
+  },
+  to: {
+    type: String,
+    enum: LISTING_STATUSES,
+    required: true
+  },
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  role: {
+    type: String,
+    enum: ['host', 'admin'],
+    required: true
+  },
+  reason: {
+    type: String,
+    maxlength: [500, 'Reason cannot be more than 500 characters']
+  },
+  changedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// Date range the owner has taken off the market. Nights run from start up to (not including) end.
+const blockedDateSchema = new mongoose.Schema({
+  start: {
+    type: Date,
+    required: [true, 'Start date is required']
+  },
+  end: {
+    type: Date,
+    required: [true, 'End date is required']
+  },
+  reason: {
+    type: String,
+    enum: ['maintenance', 'personal', 'other'],
+    default: 'other'
+  },
+  note: {
+    type: String,
+    maxlength: [200, 'Note cannot be more than 200 characters']
+  }
+});
+
+blockedDateSchema.pre('validate', function(next) {
+  if (this.end <= this.start) {
+    next(new Error('Blocked range end must be after its start'));
+  } else {
+    next();
+  }
+});
+
+// A listing photo. key locates the stored file in the storage backend (see storage/index.js).
+const imageSchema = new mongoose.Schema({
+  url: {
+    type: String,
+    required: true
+  },
+  key: {
+    type: String
+  },
+  caption: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Caption cannot be more than 200 characters']
+  },
+  alt: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Alt text cannot be more than 200 characters']
+  }
+});
+
+// Nightly price override for nights from start up to (not including) end
+const seasonalRateSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    trim: true,
+    maxlength: [50, 'Season name cannot be more than 50 characters']
+  },
+  start: {
+    type: Date,
+    required: [true, 'Season start date is required']
+  },
+  end: {
+    type: Date,
+    required: [true, 'Season end date is required']
+  },
+  price: {
+    type: Number,
+    required: [true, 'Season price is required'],
+    min: [0, 'Price cannot be negative']
+  }
+});
 
 const propertySchema = new mongoose.Schema({
   title: {
@@ -17,6 +169,57 @@ const propertySchema = new mongoose.Schema({
     required: [true, 'Price is required'],
     min: [0, 'Price cannot be negative']
   },
+  pricing: {
+    // Nightly price for weekend nights; falls back to price when unset
+    weekendPrice: {
+      type: Number,
+      required: false,
+      min: [0, 'Price cannot be negative']
+    },
+    // Nights counted as weekend (0 = Sunday ... 6 = Saturday)
+    weekendDays: {
+      type: [{ type: Number, min: 0, max: 6 }],
+      default: [5, 6]
+    },
+    seasonalRates: [seasonalRateSchema],
+    // Percentage off the nightly total for stays of 7+ nights
+    weeklyDiscount: {
+      type: Number,
+      default: 0,
+      min: 0,
+      max: 100
+    },
+    // Percentage off the nightly total for stays of 28+ nights (replaces the weekly discount)
+    monthlyDiscount: {
+      type: Number,
+      default: 0,
+      min: 0,
+      max: 100
+    },
+    cleaningFee: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    // Guests included in the nightly price; each extra guest pays extraGuestFee per night
+    includedGuests: {
+      type: Number,
+      required: false,
+      min: 1
+    },
+    extraGuestFee: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    // Tax percentage applied to the whole stay
+    taxRate: {
+      type: Number,
+      default: 0,
+      min: 0,
+      max: 100
+    }
+  },
   location: {
     address: {
       type: String,
@@ -41,18 +244,32 @@ const propertySchema = new mongoose.Schema({
     coordinates: {
       latitude: {
         type: Number,
-        required: false
+        required: false,
+        min: [-90, 'Latitude must be between -90 and 90'],
+        max: [90, 'Latitude must be between -90 and 90']
       },
       longitude: {
         type: Number,
-        required: false
+        required: false,
+        min: [-180, 'Longitude must be between -180 and 180'],
+        max: [180, 'Longitude must be between -180 and 180']
+      }
+    },
+    // GeoJSON mirror of coordinates, kept in sync by the hooks below.
+    // Stored as [longitude, latitude] for the 2dsphere index.
+    geo: {
+      type: {
+        type: String,
+        enum: ['Point']
+      },
+      coordinates: {
+        type: [Number],
+        default: undefined
       }
     }
   },
-  images: [{
-    type: String,
-    required: true
-  }],
+  // Photos in display order; the first one is the cover
+  images: [imageSchema],
   propertyType: {
     type: String,
     enum: ['apartment', 'house', 'villa', 'condo', 'studio', 'other'],
@@ -68,6 +285,31 @@ const propertySchema = new mongoose.Schema({
     required: false,
     min: 0
   },
+  // Capacity limits; unset limits are not enforced. maxGuests counts adults and children.
+  maxGuests: {
+    type: Number,
+    required: false,
+    min: [1, 'Max guests must be at least 1']
+  },
+  maxAdults: {
+    type: Number,
+    required: false,
+    min: [1, 'Max adults must be at least 1']
+  },
+  maxChildren: {
+    type: Number,
+    required: false,
+    min: 0
+  },
+  maxInfants: {
+    type: Number,
+    required: false,
+    min: 0
+  },
+  petsAllowed: {
+    type: Boolean,
+    default: false
+  },
   area: {
     value: Number,
     unit: {
@@ -85,10 +327,97 @@ const propertySchema = new mongoose.Schema({
     ref: 'User',
     required: true
   },
+  // Co-hosts and managers who help run the listing (see utils/permissions.js)
+  managers: [{
+    _id: false,
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    role: {
+      type: String,
+      enum: PROPERTY_TEAM_ROLES,
+      default: 'cohost'
+    },
+    addedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   isAvailable: {
     type: Boolean,
     default: true
   },
+  // Listing lifecycle (see LISTING_TRANSITIONS). New listings start as drafts;
+  // listings stored before the workflow existed have no status and load as published.
+  status: {
+    type: String,
+    enum: LISTING_STATUSES,
+    default: function() {
+      return this.isNew ? 'draft' : 'published';
+    }
+  },
+  rejectionReason: {
+    type: String,
+    maxlength: [500, 'Reason cannot be more than 500 characters']
+  },
+  submittedAt: Date,
+  publishedAt: Date,
+  statusHistory: [listingStatusChangeSchema],
+  blockedDates: [blockedDateSchema],
+  cancellationPolicy: {
+    type: {
+      type: String,
+      enum: CANCELLATION_POLICIES,
+      default: 'flexible'
+    },
+    // Only used by the 'custom' policy
+    tiers: [{
+      _id: false,
+      daysBefore: {
+        type: Number,
+        required: true,
+        min: 0
+      },
+      refundPercent: {
+        type: Number,
+        required: true,
+        min: 0,
+        max: 100
+      }
+    }]
+  },
+  stayRules: {
+    minNights: {
+      type: Number,
+      default: 1,
+      min: [1, 'Minimum stay must be at least 1 night']
+    },
+    maxNights: {
+      type: Number,
+      required: false,
+      min: [1, 'Maximum stay must be at least 1 night']
+    },
+    // Weekdays guests may check in on (0 = Sunday ... 6 = Saturday); empty means any day
+    checkInDays: [{
+      type: Number,
+      min: 0,
+      max: 6
+    }],
+    // Days of notice required before check-in
+    advanceNoticeDays: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    // How many days ahead check-in may be booked; unset means no limit
+    bookingWindowDays: {
+      type: Number,
+      required: false,
+      min: 1
+    }
+  },
   featured: {
     type: Boolean,
     default: false
@@ -103,6 +432,12 @@ const propertySchema = new mongoose.Schema({
     count: {
       type: Number,
       default: 0
+    },
+    // Per-category averages, maintained by models/Review
+    categories: {
+      cleanliness: { type: Number, default: 0 },
+      accuracy: { type: Number, default: 0 },
+      location: { type: Number, default: 0 }
     }
   },
   views: {
@@ -118,6 +453,103 @@ propertySchema.index({ title: 'text', description: 'text', 'location.city': 'tex
 propertySchema.index({ price: 1 });
 propertySchema.index({ 'location.city': 1 });
 propertySchema.index({ isAvailable: 1 });
+propertySchema.index({ 'location.geo': '2dsphere' });
+propertySchema.index({ 'managers.user': 1 });
+propertySchema.index({ status: 1, submittedAt: 1 });
+
+// Query matching listings visible to the public (including pre-workflow listings with no status)
+propertySchema.statics.publishedFilter = function() {
+  return { status: { $in: ['published', null] } };
+};
+
+// Whether `role` ('host' or 'admin') may move a listing from `from` to `to`
+propertySchema.statics.canTransition = function(from, to, role) {
+  const allowed = LISTING_TRANSITIONS[from] && LISTING_TRANSITIONS[from][to];
+  return Boolean(allowed && allowed.includes(role));
+};
+
+// Atomically move a listing from `from` to `to` and record it in statusHistory.
+// Emits property:statusChanged on success.
+// Resolves to the updated property, or null if its status was no longer `from`.
+propertySchema.statics.transitionStatus = async function(id, from, to, { user, role, reason } = {}) {
+  const now = new Date();
+  const update = { status: to };
+
+  if (to === 'submitted') update.submittedAt = now;
+  if (to === 'published') update.publishedAt = now;
+  // A rejection reason stays visible until the listing is reviewed again
+  if (to === 'rejected') update.rejectionReason = reason;
+
+  const operations = {
+    $set: update,
+    $push: { statusHistory: { from, to, changedBy: user, role, reason, changedAt: now } }
+  };
+  if (to === 'approved') operations.$unset = { rejectionReason: 1 };
+
+  // Legacy listings have no stored status but load as published
+  const current = from === 'published' ? { $in: ['published', null] } : from;
+
+  const property = await this.findOneAndUpdate(
+    { _id: id, status: current },
+    operations,
+    { new: true, runValidators: true }
+  );
+
+  if (property) {
+    events.emit('property:statusChanged', { property, from, to, role, user, reason });
+  }
+
+  return property;
+};
+
+// Build a GeoJSON point from { latitude, longitude }, or undefined if incomplete
+const toGeoPoint = (coordinates) => {
+  if (!coordinates) return undefined;
+  if (coordinates.latitude == null || coordinates.longitude == null) return undefined;
+  const latitude = Number(coordinates.latitude);
+  const longitude = Number(coordinates.longitude);
+  if (!Number.isFinite(latitude) || !Number.isFinite(longitude)) return undefined;
+  return { type: 'Point', coordinates: [longitude, latitude] };
+};
+
+// Keep location.geo in sync with location.coordinates on save
+propertySchema.pre('validate', function(next) {
+  if (this.location) {
+    this.location.geo = toGeoPoint(this.location.coordinates);
+  }
+  next();
+});
+
+// Keep location.geo in sync on findByIdAndUpdate / findOneAndUpdate
+propertySchema.pre('findOneAndUpdate', function(next) {
+  const update = this.getUpdate() || {};
+  const set = update.$set || update;
+
+  if (set.location) {
+    set.location = { ...set.location, geo: toGeoPoint(set.location.coordinates) };
+  } else if (set['location.coordinates']) {
+    set['location.geo'] = toGeoPoint(set['location.coordinates']);
+  }
+
+  next();
+});
+
+// Listings stored before images had ids hold plain URLs. Give those an id derived from
+// the URL, so it stays the same across loads until the listing is saved in the new shape.
+propertySchema.pre('init', function(raw) {
+  if (!Array.isArray(raw.images)) return;
+
+  raw.images = raw.images.map(image => {
+    if (typeof image !== 'string') return image;
+    const id = crypto.createHash('md5').update(image).digest('hex').slice(0, 24);
+    return { _id: new mongoose.Types.ObjectId(id), url: image, key: keyFromUrl(image) };
+  });
+});
+
+// URL of the cover photo
+propertySchema.virtual('coverImage').get(function() {
+  return this.images && this.images.length > 0 ? this.images[0].url : null;
+});
 
 // Virtual for full address
 propertySchema.virtual('fullAddress').get(function() {
@@ -128,5 +560,11 @@ propertySchema.virtual('fullAddress').get(function() {
 propertySchema.set('toJSON', { virtuals: true });
 propertySchema.set('toObject', { virtuals: true });
 
-module.exports = mongoose.model('Property', propertySchema);
+const Property = mongoose.model('Property', propertySchema);
+
+Property.LISTING_STATUSES = LISTING_STATUSES;
+Property.LISTING_TRANSITIONS = LISTING_TRANSITIONS;
+Property.MODERATED_FIELDS = MODERATED_FIELDS;
+
+module.exports = Property;
 
@@ -0,0 +1,99 @@
+const mongoose = require('mongoose');
+
+const score = {
+  type: Number,
+  required: true,
+  min: [1, 'Scores must be between 1 and 5'],
+  max: [5, 'Scores must be between 1 and 5']
+};
+
+const reviewSchema = new mongoose.Schema({
+  property: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Property',
+    required: true
+  },
+  // The completed stay being reviewed; one review per booking
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+    required: true,
+    unique: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  rating: score,
+  categories: {
+    cleanliness: score,
+    accuracy: score,
+    location: score
+  },
+  comment: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Comment cannot be more than 1000 characters']
+  },
+  // Hidden until the host reviews the guest too, or publishAt passes
+  published: {
+    type: Boolean,
+    default: false
+  },
+  publishAt: {
+    type: Date,
+    required: true
+  },
+  publishedAt: {
+    type: Date
+  },
+  ownerReply: {
+    text: {
+      type: String,
+      trim: true,
+      maxlength: [1000, 'Reply cannot be more than 1000 characters']
+    },
+    repliedAt: {
+      type: Date
+    }
+  }
+}, {
+  timestamps: true
+});
+
+reviewSchema.index({ property: 1, published: 1, createdAt: -1 });
+reviewSchema.index({ published: 1, publishAt: 1 });
+
+// Recompute a property's rating summary from its published reviews
+reviewSchema.statics.recalculateRating = async function(propertyId) {
+  const [stats] = await this.aggregate([
+    { $match: { property: new mongoose.Types.ObjectId(propertyId), published: true } },
+    {
+      $group: {
+        _id: null,
+        average: { $avg: '$rating' },
+        count: { $sum: 1 },
+        cleanliness: { $avg: '$categories.cleanliness' },
+        accuracy: { $avg: '$categories.accuracy' },
+        location: { $avg: '$categories.location' }
+      }
+    }
+  ]);
+
+  const round = (value) => Math.round((value || 0) * 10) / 10;
+
+  await mongoose.model('Property').findByIdAndUpdate(propertyId, {
+    rating: {
+      average: round(stats && stats.average),
+      count: stats ? stats.count : 0,
+      categories: {
+        cleanliness: round(stats && stats.cleanliness),
+        accuracy: round(stats && stats.accuracy),
+        location: round(stats && stats.location)
+      }
+    }
+  });
+};
+
+module.exports = mongoose.model('Review', reviewSchema);
@@ -0,0 +1,131 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_EXPIRE_DAYS) || 30;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// A signed-in device. Access tokens carry the session id and are rejected once the
+// session is revoked; the refresh token rotates on every use.
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // SHA-256 of the current refresh token secret
+  refreshTokenHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  // Hash of the token it replaced; seeing it again means a refresh token was stolen
+  previousTokenHash: {
+    type: String,
+    select: false
+  },
+  deviceName: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Device name cannot be more than 100 characters']
+  },
+  userAgent: {
+    type: String
+  },
+  ip: {
+    type: String
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+sessionSchema.index({ user: 1, revokedAt: 1 });
+// MongoDB removes sessions once they expire
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+sessionSchema.virtual('isActive').get(function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+const refreshExpiry = () => new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+// Start a session for a user; resolves to { session, refreshToken }.
+// Refresh tokens look like "<sessionId>.<secret>".
+sessionSchema.statics.start = async function(user, { deviceName, userAgent, ip } = {}) {
+  const secret = crypto.randomBytes(32).toString('hex');
+  const session = await this.create({
+    user: user._id,
+    refreshTokenHash: hashToken(secret),
+    deviceName,
+    userAgent,
+    ip,
+    expiresAt: refreshExpiry()
+  });
+  return { session, refreshToken: `${session._id}.${secret}` };
+};
+
+// Exchange a refresh token for a new one (atomically, so a token works only once).
+// Resolves to { session, refreshToken } or { error } when the token cannot be used.
+// Presenting an already rotated token revokes the session, as it was probably stolen.
+sessionSchema.statics.rotate = async function(token) {
+  const [sessionId, secret] = String(token).split('.');
+  if (!secret || !mongoose.isValidObjectId(sessionId)) {
+    return { error: 'Refresh token is not valid' };
+  }
+
+  const now = new Date();
+  const hash = hashToken(secret);
+  const nextSecret = crypto.randomBytes(32).toString('hex');
+
+  const session = await this.findOneAndUpdate(
+    { _id: sessionId, refreshTokenHash: hash, revokedAt: null, expiresAt: { $gt: now } },
+    {
+      $set: {
+        refreshTokenHash: hashToken(nextSecret),
+        previousTokenHash: hash,
+        lastUsedAt: now,
+        expiresAt: refreshExpiry()
+      }
+    },
+    { new: true }
+  );
+
+  if (session) {
+    return { session, refreshToken: `${session._id}.${nextSecret}` };
+  }
+
+  const reused = await this.findOneAndUpdate(
+    { _id: sessionId, previousTokenHash: hash, revokedAt: null },
+    { revokedAt: now }
+  );
+  if (reused) {
+    return { error: 'Refresh token was already used; session revoked' };
+  }
+
+  return { error: 'Refresh token is not valid or the session has ended' };
+};
+
+// Revoke every active session of a user, optionally keeping one
+sessionSchema.statics.revokeAll = function(userId, exceptSessionId) {
+  const query = { user: userId, revokedAt: null };
+  if (exceptSessionId) {
+    query._id = { $ne: exceptSessionId };
+  }
+  return this.updateMany(query, { revokedAt: new Date() });
+};
+
+sessionSchema.set('toJSON', { virtuals: true });
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -1,5 +1,72 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+
+const PASSWORD_RESET_TTL_MS = 60 * 60 * 1000; // 1 hour
+const EMAIL_VERIFICATION_TTL_MS = 24 * 60 * 60 * 1000; // 24 hours
+
+const HOST_STATUSES = ['not_submitted', 'pending', 'verified', 'rejected'];
+const ID_DOCUMENT_TYPES = ['passport', 'national_id', 'driving_license'];
+const PAYOUT_METHODS = ['bank_transfer', 'upi', 'paypal'];
+
+// Host onboarding details and the admin's verification decision
+const hostProfileSchema = new mongoose.Schema({
+  status: {
+    type: String,
+    enum: HOST_STATUSES,
+    default: 'not_submitted'
+  },
+  phone: {
+    type: String,
+    trim: true
+  },
+  about: {
+    type: String,
+    maxlength: [1000, 'About cannot be more than 1000 characters']
+  },
+  // Placeholder until a payout provider is integrated; never holds full account numbers
+  payout: {
+    method: {
+      type: String,
+      enum: PAYOUT_METHODS
+    },
+    accountHolder: {
+      type: String,
+      trim: true
+    },
+    accountLast4: {
+      type: String,
+      match: [/^\w{4}$/, 'Account reference must be 4 characters']
+    }
+  },
+  idDocumentType: {
+    type: String,
+    enum: ID_DOCUMENT_TYPES
+  },
+  submittedAt: Date,
+  reviewedAt: Date,
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  rejectionReason: {
+    type: String,
+    maxlength: [500, 'Reason cannot be more than 500 characters']
+  },
+  // Share (0-100) of booking requests the host confirmed or declined before they expired
+  requestsReceived: {
+    type: Number,
+    default: 0
+  },
+  requestsAnswered: {
+    type: Number,
+    default: 0
+  },
+  responseRate: {
+    type: Number,
+    default: null
+  }
+}, { _id: false });
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -30,15 +97,63 @@ const userSchema = new mongoose.Schema({
   },
   role: {
     type: String,
-    enum: ['user', 'admin'],
+    enum: ['user', 'host', 'admin'],
     default: 'user'
   },
   isActive: {
     type: Boolean,
     default: true
   },
+  // Bumped whenever existing access tokens must stop working
+  // (password change, deactivation); tokens carry the version they were issued with
+  tokenVersion: {
+    type: Number,
+    default: 0
+  },
+  passwordChangedAt: {
+    type: Date
+  },
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  // Single-use tokens; only their SHA-256 hashes are stored
+  emailVerificationToken: {
+    type: String,
+    select: false
+  },
+  emailVerificationExpires: {
+    type: Date,
+    select: false
+  },
+  passwordResetToken: {
+    type: String,
+    select: false
+  },
+  passwordResetExpires: {
+    type: Date,
+    select: false
+  },
   lastLogin: {
     type: Date
+  },
+  // Opt-outs for optional email categories (see mail/index.js)
+  emailPreferences: {
+    bookingRequests: { type: Boolean, default: true },
+    bookingUpdates: { type: Boolean, default: true }
+  },
+  hostProfile: {
+    type: hostProfileSchema,
+    default: () => ({})
+  },
+  // Summary of published host reviews of this user as a guest, maintained by models/GuestReview
+  guestRating: {
+    average: { type: Number, default: 0 },
+    count: { type: Number, default: 0 },
+    categories: {
+      houseRules: { type: Number, default: 0 },
+      communication: { type: Number, default: 0 }
+    }
   }
 }, {
   timestamps: true
@@ -49,20 +164,75 @@ userSchema.pre('save', async function(next) {
   if (!this.isModified('password')) return next();
   
   this.password = await bcrypt.hash(this.password, 12);
+
+  // Invalidate tokens issued with the old password
+  if (!this.isNew) {
+    this.passwordChangedAt = new Date();
+    this.tokenVersion = (this.tokenVersion || 0) + 1;
+  }
   next();
 });
 
+// Count a booking request that left 'pending' and refresh the host's response rate.
+// answered is false when the request expired without a reply.
+userSchema.statics.recordHostResponse = function(hostId, answered) {
+  const received = { $add: [{ $ifNull: ['$hostProfile.requestsReceived', 0] }, 1] };
+  const answeredCount = { $add: [{ $ifNull: ['$hostProfile.requestsAnswered', 0] }, answered ? 1 : 0] };
+
+  return this.updateOne({ _id: hostId }, [
+    { $set: { 'hostProfile.requestsReceived': received, 'hostProfile.requestsAnswered': answeredCount } },
+    {
+      $set: {
+        'hostProfile.responseRate': {
+          $round: [{ $multiply: [{ $divide: ['$hostProfile.requestsAnswered', '$hostProfile.requestsReceived'] }, 100] }, 0]
+        }
+      }
+    }
+  ]);
+};
+
 // Compare password method
 userSchema.methods.comparePassword = async function(candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
-// Remove password from JSON output
+// Hash a raw token the way it is stored
+userSchema.statics.hashToken = function(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// Generate a password reset token; stores its hash and expiry, returns the raw token
+userSchema.methods.createPasswordResetToken = function() {
+  const token = crypto.randomBytes(32).toString('hex');
+  this.passwordResetToken = this.constructor.hashToken(token);
+  this.passwordResetExpires = new Date(Date.now() + PASSWORD_RESET_TTL_MS);
+  return token;
+};
+
+// Generate an email verification token; stores its hash and expiry, returns the raw token
+userSchema.methods.createEmailVerificationToken = function() {
+  const token = crypto.randomBytes(32).toString('hex');
+  this.emailVerificationToken = this.constructor.hashToken(token);
+  this.emailVerificationExpires = new Date(Date.now() + EMAIL_VERIFICATION_TTL_MS);
+  return token;
+};
+
+// Remove password and token hashes from JSON output
 userSchema.methods.toJSON = function() {
   const user = this.toObject();
   delete user.password;
+  delete user.emailVerificationToken;
+  delete user.emailVerificationExpires;
+  delete user.passwordResetToken;
+  delete user.passwordResetExpires;
   return user;
 };
 
-module.exports = mongoose.model('User', userSchema);
+const User = mongoose.model('User', userSchema);
+
+User.HOST_STATUSES = HOST_STATUSES;
+User.ID_DOCUMENT_TYPES = ID_DOCUMENT_TYPES;
+User.PAYOUT_METHODS = PAYOUT_METHODS;
+
+module.exports = User;
 
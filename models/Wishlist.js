@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+const wishlistSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true,
+    maxlength: [50, 'Name cannot be more than 50 characters']
+  },
+  properties: [{
+    _id: false,
+    property: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Property',
+      required: true
+    },
+    addedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Set while the list is shared read-only by link
+  shareToken: {
+    type: String
+  }
+}, {
+  timestamps: true
+});
+
+wishlistSchema.index({ user: 1, createdAt: -1 });
+wishlistSchema.index({ user: 1, 'properties.property': 1 });
+wishlistSchema.index({ shareToken: 1 }, { unique: true, sparse: true });
+
+// Ids (as strings) of the given properties that appear in any of the user's lists
+wishlistSchema.statics.favoritedPropertyIds = async function(userId, propertyIds) {
+  const ids = await this.distinct('properties.property', {
+    user: userId,
+    'properties.property': { $in: propertyIds }
+  });
+  return new Set(ids.map(id => id.toString()));
+};
+
+module.exports = mongoose.model('Wishlist', wishlistSchema);
@@ -0,0 +1,161 @@
+const Booking = require('../models/Booking');
+const { ACTIVE_BOOKING_STATUSES } = require('../utils/availability');
+const { PAYMENT_CURRENCY, getPaymentProvider } = require('./index');
+
+// Create a payment intent for a booking's total and attach it to the booking.
+// Payments are authorized at checkout and captured when the host confirms.
+const startCheckout = async (booking) => {
+  const provider = getPaymentProvider();
+  const intent = await provider.createPaymentIntent({
+    amount: booking.totalPrice,
+    currency: PAYMENT_CURRENCY,
+    metadata: { booking: booking._id.toString() }
+  });
+
+  booking.payment = {
+    provider: provider.name,
+    intentId: intent.id,
+    status: intent.status,
+    amount: intent.amount,
+    currency: PAYMENT_CURRENCY
+  };
+  await booking.save();
+
+  return intent;
+};
+
+// Capture an authorized payment. Resolves to the fields to set on the booking,
+// or an empty object when there is nothing to capture.
+const captureBookingPayment = async (booking) => {
+  if (!booking.payment || booking.payment.status !== 'authorized') {
+    return {};
+  }
+
+  const provider = getPaymentProvider(booking.payment.provider);
+  const captured = await provider.capturePayment(booking.payment.intentId, booking.totalPrice);
+
+  return {
+    'payment.status': 'captured',
+    'payment.capturedAmount': captured.amountCaptured,
+    'payment.capturedAt': new Date(),
+    paymentStatus: 'paid'
+  };
+};
+
+// Refund a capture made for a status change that did not happen (e.g. the booking was
+// cancelled while the host was confirming it)
+const reverseCapture = async (booking, update) => {
+  if (!update['payment.capturedAmount']) {
+    return;
+  }
+
+  const provider = getPaymentProvider(booking.payment.provider);
+  await provider.refundPayment(booking.payment.intentId, update['payment.capturedAmount']);
+};
+
+// Return money for a cancelled booking: refunds `refundAmount` of a captured payment,
+// or voids a payment that was only authorized. Resolves to the fields to set on the booking.
+const releaseBookingPayment = async (booking, refundAmount) => {
+  if (!booking.payment || !booking.payment.intentId) {
+    return {};
+  }
+
+  const provider = getPaymentProvider(booking.payment.provider);
+
+  if (booking.payment.status === 'authorized' || booking.payment.status === 'requires_payment') {
+    await provider.cancelPaymentIntent(booking.payment.intentId);
+    return { 'payment.status': 'cancelled' };
+  }
+
+  if (booking.payment.status === 'captured' && refundAmount > 0) {
+    const refund = await provider.refundPayment(booking.payment.intentId, refundAmount);
+    return {
+      'payment.refunds': [
+        ...(booking.payment.refunds || []),
+        { refundId: refund.id, amount: refund.amount, createdAt: new Date() }
+      ]
+    };
+  }
+
+  return {};
+};
+
+// Release the payment of a booking that has just been cancelled and record the result.
+// `booking` is the booking as it was before the cancellation. Resolves to the updated booking.
+const settleCancelledBooking = async (booking, refundAmount) => {
+  const update = await releaseBookingPayment(booking, refundAmount);
+  if (!Object.keys(update).length) {
+    return Booking.findById(booking._id);
+  }
+  return Booking.findByIdAndUpdate(booking._id, { $set: update }, { new: true });
+};
+
+// Apply a webhook event, verified by `providerName`, to the booking its intent belongs to.
+// Events are applied only when they move the payment forward, so redeliveries are harmless.
+const handlePaymentEvent = async (event, providerName) => {
+  const booking = await Booking.findOne({
+    'payment.provider': providerName,
+    'payment.intentId': event.intentId
+  });
+  if (!booking) {
+    return null;
+  }
+
+  switch (event.type) {
+    case 'payment_intent.authorized': {
+      const authorized = await Booking.findOneAndUpdate(
+        { _id: booking._id, 'payment.status': 'requires_payment' },
+        { $set: { 'payment.status': 'authorized' } },
+        { new: true }
+      ) || booking;
+
+      // Settled below on the first delivery, or on a redelivery if settling failed
+      if (authorized.payment.status !== 'authorized') {
+        return authorized;
+      }
+
+      // A booking the host already confirmed is captured straight away
+      if (authorized.status === 'confirmed') {
+        const update = await captureBookingPayment(authorized);
+        return Booking.findByIdAndUpdate(booking._id, { $set: update }, { new: true });
+      }
+
+      // A booking that ended before the payment came through must not hold the guest's money
+      if (!ACTIVE_BOOKING_STATUSES.includes(authorized.status)) {
+        const update = await releaseBookingPayment(authorized, 0);
+        return Booking.findByIdAndUpdate(booking._id, { $set: update }, { new: true });
+      }
+
+      return authorized;
+    }
+    case 'payment_intent.captured':
+      return Booking.findOneAndUpdate(
+        { _id: booking._id, 'payment.status': { $in: ['requires_payment', 'authorized'] } },
+        { $set: { 'payment.status': 'captured', 'payment.capturedAmount': event.amount, paymentStatus: 'paid' } },
+        { new: true }
+      );
+    case 'payment_intent.failed':
+      return Booking.findOneAndUpdate(
+        { _id: booking._id, 'payment.status': 'requires_payment' },
+        { $set: { 'payment.status': 'failed' } },
+        { new: true }
+      );
+    case 'payment_intent.cancelled':
+      return Booking.findOneAndUpdate(
+        { _id: booking._id, 'payment.status': { $in: ['requires_payment', 'authorized'] } },
+        { $set: { 'payment.status': 'cancelled' } },
+        { new: true }
+      );
+    default:
+      return booking;
+  }
+};
+
+module.exports = {
+  startCheckout,
+  captureBookingPayment,
+  reverseCapture,
+  releaseBookingPayment,
+  settleCancelledBooking,
+  handlePaymentEvent
+};
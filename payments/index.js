@@ -0,0 +1,53 @@
+const MockPaymentProvider = require('./providers/mock');
+
+// Payment providers implement:
+//   name
+//   createPaymentIntent({ amount, currency, metadata }) -> { id, clientSecret, status, amount }
+//   capturePayment(intentId, amount?)                   -> { id, status, amountCaptured }
+//   cancelPaymentIntent(intentId)                       -> { id, status }
+//   refundPayment(intentId, amount)                     -> { id, intentId, amount, status }
+//   verifyWebhook(rawBody, headers)                     -> { id, type, intentId, amount, metadata }
+// Amounts are in major currency units (e.g. rupees); adapters convert as their API needs.
+// Webhook event types: payment_intent.authorized, payment_intent.captured,
+// payment_intent.cancelled, payment_intent.failed, refund.succeeded.
+
+const PAYMENT_CURRENCY = process.env.PAYMENT_CURRENCY || 'INR';
+
+const factories = {
+  // Anyone who knows the secret can forge payments, so the mock never runs in production
+  // and has no built-in secret
+  mock: () => {
+    if (process.env.NODE_ENV === 'production') {
+      throw new Error('The mock payment provider is not available in production');
+    }
+    if (!process.env.MOCK_PAYMENT_WEBHOOK_SECRET) {
+      throw new Error('MOCK_PAYMENT_WEBHOOK_SECRET must be set to use the mock payment provider');
+    }
+    return new MockPaymentProvider({ webhookSecret: process.env.MOCK_PAYMENT_WEBHOOK_SECRET });
+  }
+};
+
+const providers = {};
+
+// Provider instance by name; defaults to PAYMENT_PROVIDER (or the mock gateway)
+const getPaymentProvider = (name = process.env.PAYMENT_PROVIDER || 'mock') => {
+  if (!factories[name]) {
+    throw new Error(`Unknown payment provider: ${name}`);
+  }
+  if (!providers[name]) {
+    providers[name] = factories[name]();
+  }
+  return providers[name];
+};
+
+// Make another provider (e.g. Stripe or Razorpay) available under `name`
+const registerPaymentProvider = (name, factory) => {
+  factories[name] = factory;
+  delete providers[name];
+};
+
+module.exports = {
+  PAYMENT_CURRENCY,
+  getPaymentProvider,
+  registerPaymentProvider
+};
@@ -0,0 +1,114 @@
+const crypto = require('crypto');
+
+// Local payment gateway that keeps intents in memory and signs its webhooks with
+// HMAC-SHA256, so checkout, capture, refunds and webhooks work without a real provider.
+// `authorize` stands in for the customer completing payment in the provider's SDK.
+class MockPaymentProvider {
+  constructor({ webhookSecret }) {
+    this.name = 'mock';
+    this.webhookSecret = webhookSecret;
+    this.intents = new Map();
+  }
+
+  async createPaymentIntent({ amount, currency, metadata = {} }) {
+    const id = `mock_pi_${crypto.randomBytes(12).toString('hex')}`;
+    const intent = {
+      id,
+      clientSecret: `${id}_secret_${crypto.randomBytes(12).toString('hex')}`,
+      amount,
+      currency,
+      metadata,
+      status: 'requires_payment',
+      amountCaptured: 0,
+      amountRefunded: 0
+    };
+    this.intents.set(id, intent);
+    return { ...intent };
+  }
+
+  async capturePayment(intentId, amount) {
+    const intent = this.getIntent(intentId);
+    if (intent.status !== 'authorized') {
+      throw new Error(`Cannot capture a payment that is ${intent.status}`);
+    }
+    intent.status = 'captured';
+    intent.amountCaptured = amount != null ? amount : intent.amount;
+    return { ...intent };
+  }
+
+  async cancelPaymentIntent(intentId) {
+    const intent = this.getIntent(intentId);
+    if (intent.status === 'captured') {
+      throw new Error('Cannot cancel a captured payment, refund it instead');
+    }
+    intent.status = 'cancelled';
+    return { ...intent };
+  }
+
+  async refundPayment(intentId, amount) {
+    const intent = this.getIntent(intentId);
+    if (intent.status !== 'captured') {
+      throw new Error(`Cannot refund a payment that is ${intent.status}`);
+    }
+    if (intent.amountRefunded + amount > intent.amountCaptured) {
+      throw new Error('Refund exceeds the captured amount');
+    }
+    intent.amountRefunded += amount;
+    return {
+      id: `mock_re_${crypto.randomBytes(12).toString('hex')}`,
+      intentId,
+      amount,
+      status: 'succeeded'
+    };
+  }
+
+  // Parse and authenticate a webhook delivery. Throws if the signature does not match.
+  verifyWebhook(rawBody, headers) {
+    const signature = headers['x-mock-signature'];
+    const expected = this.sign(rawBody);
+
+    if (!signature || signature.length !== expected.length ||
+        !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+      throw new Error('Invalid webhook signature');
+    }
+
+    return JSON.parse(rawBody.toString());
+  }
+
+  // Simulate the customer paying: authorizes the intent and returns the signed
+  // webhook delivery the gateway would send
+  authorize(intentId) {
+    const intent = this.getIntent(intentId);
+    if (intent.status !== 'requires_payment') {
+      throw new Error(`Cannot authorize a payment that is ${intent.status}`);
+    }
+    intent.status = 'authorized';
+    return this.buildWebhook('payment_intent.authorized', intent);
+  }
+
+  buildWebhook(type, intent) {
+    const event = {
+      id: `mock_evt_${crypto.randomBytes(12).toString('hex')}`,
+      type,
+      intentId: intent.id,
+      amount: intent.amount,
+      metadata: intent.metadata
+    };
+    const rawBody = Buffer.from(JSON.stringify(event));
+    return { rawBody, headers: { 'x-mock-signature': this.sign(rawBody) } };
+  }
+
+  sign(rawBody) {
+    return crypto.createHmac('sha256', this.webhookSecret).update(rawBody).digest('hex');
+  }
+
+  getIntent(intentId) {
+    const intent = this.intents.get(intentId);
+    if (!intent) {
+      throw new Error(`Unknown payment intent ${intentId}`);
+    }
+    return intent;
+  }
+}
+
+module.exports = MockPaymentProvider;
@@ -0,0 +1,183 @@
+const { WebSocketServer } = require('ws');
+const { authenticateToken } = require('../middleware/auth');
+const Property = require('../models/Property');
+const Session = require('../models/Session');
+const User = require('../models/User');
+const { propertyTeam } = require('../utils/permissions');
+const events = require('../utils/events');
+
+const HEARTBEAT_MS = 30 * 1000;
+
+// Open sockets per user id; a user may be connected from several devices
+const connections = new Map();
+
+// Push an event to every open socket of a user
+const sendToUser = (userId, type, data) => {
+  const sockets = connections.get(userId.toString());
+  if (!sockets) return;
+
+  const payload = JSON.stringify({ type, data });
+  sockets.forEach(socket => {
+    if (socket.readyState === socket.OPEN) {
+      socket.send(payload);
+    }
+  });
+};
+
+// Token from "Authorization: Bearer <token>" or, for clients that cannot set headers, ?token=
+const tokenFromRequest = (req) => {
+  if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
+    return req.headers.authorization.split(' ')[1];
+  }
+  return new URL(req.url, 'http://localhost').searchParams.get('token');
+};
+
+const rejectUpgrade = (socket, status, message) => {
+  socket.write(`HTTP/1.1 ${status} ${message}\r\nConnection: close\r\n\r\n`);
+  socket.destroy();
+};
+
+// Close sockets whose session was revoked or expired, or whose user was deactivated
+// or changed their password (tokenVersion bump) since connecting
+const closeRevokedSockets = async (clients) => {
+  const sockets = [...clients].filter(ws => ws.sessionId);
+  if (!sockets.length) return;
+
+  const [sessions, users] = await Promise.all([
+    Session.find({
+      _id: { $in: sockets.map(ws => ws.sessionId) },
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    }).select('_id'),
+    User.find({ _id: { $in: sockets.map(ws => ws.userId) } }).select('isActive tokenVersion')
+  ]);
+
+  const activeSessions = new Set(sessions.map(session => session._id.toString()));
+  const usersById = new Map(users.map(user => [user._id.toString(), user]));
+
+  sockets.forEach(ws => {
+    const user = usersById.get(ws.userId);
+    if (!activeSessions.has(ws.sessionId) || !user || !user.isActive ||
+        user.tokenVersion !== ws.tokenVersion) {
+      ws.close(4001, 'Session ended');
+    }
+  });
+};
+
+// Forward domain events to the users they concern
+const subscribeToEvents = () => {
+  // Booking requests and updates go to the property's whole team
+  events.onAsync('booking:created', async ({ booking, property }) => {
+    propertyTeam(property).forEach(userId => sendToUser(userId, 'booking.requested', { booking }));
+  });
+
+  events.onAsync('booking:statusChanged', async ({ booking, from, to }) => {
+    const property = await Property.findById(booking.property).select('owner managers');
+    const data = { booking, from, to };
+    const guestId = (booking.user._id || booking.user).toString();
+
+    sendToUser(guestId, 'booking.statusChanged', data);
+    if (property) {
+      propertyTeam(property)
+        .filter(userId => userId.toString() !== guestId)
+        .forEach(userId => sendToUser(userId, 'booking.statusChanged', data));
+    }
+  });
+
+  events.onAsync('message:created', async ({ message, conversation, recipients }) => {
+    const data = { message, conversationId: conversation._id };
+    recipients.forEach(userId => sendToUser(userId, 'message.created', data));
+    // Keep the sender's other devices in sync
+    sendToUser(message.sender, 'message.created', data);
+  });
+
+  events.onAsync('notification:created', async ({ notification }) => {
+    sendToUser(notification.user, 'notification.created', { notification });
+  });
+};
+
+// Serve authenticated WebSocket connections on /ws of the given HTTP server.
+// Clients authenticate with the same JWT as the REST API and receive
+// { type, data } messages: booking.requested, booking.statusChanged, message.created,
+// notification.created. A socket is closed with code 4001 once its session ends.
+const attachRealtime = (server) => {
+  const wss = new WebSocketServer({ noServer: true });
+
+  server.on('upgrade', async (req, socket, head) => {
+    try {
+      if (new URL(req.url, 'http://localhost').pathname !== '/ws') {
+        return rejectUpgrade(socket, 404, 'Not Found');
+      }
+
+      const token = tokenFromRequest(req);
+      if (!token) {
+        return rejectUpgrade(socket, 401, 'Unauthorized');
+      }
+
+      const { user, session } = await authenticateToken(token);
+      if (!user) {
+        return rejectUpgrade(socket, 401, 'Unauthorized');
+      }
+
+      wss.handleUpgrade(req, socket, head, (ws) => {
+        wss.emit('connection', ws, user, session);
+      });
+    } catch (error) {
+      console.error('WebSocket upgrade error:', error);
+      rejectUpgrade(socket, 500, 'Internal Server Error');
+    }
+  });
+
+  wss.on('connection', (ws, user, session) => {
+    const userId = user._id.toString();
+    if (!connections.has(userId)) {
+      connections.set(userId, new Set());
+    }
+    connections.get(userId).add(ws);
+
+    // Checked again on every heartbeat, see closeRevokedSockets
+    ws.userId = userId;
+    ws.sessionId = session._id.toString();
+    ws.tokenVersion = user.tokenVersion;
+
+    ws.isAlive = true;
+    ws.on('pong', () => {
+      ws.isAlive = true;
+    });
+
+    ws.on('close', () => {
+      const sockets = connections.get(userId);
+      if (!sockets) return;
+      sockets.delete(ws);
+      if (sockets.size === 0) {
+        connections.delete(userId);
+      }
+    });
+
+    ws.send(JSON.stringify({ type: 'connected', data: { user: userId } }));
+  });
+
+  // Drop connections that stopped answering pings or whose login is no longer valid
+  const heartbeat = setInterval(() => {
+    wss.clients.forEach(ws => {
+      if (!ws.isAlive) {
+        return ws.terminate();
+      }
+      ws.isAlive = false;
+      ws.ping();
+    });
+
+    closeRevokedSockets(wss.clients).catch(error => {
+      console.error('WebSocket session check error:', error);
+    });
+  }, HEARTBEAT_MS).unref();
+
+  wss.on('close', () => clearInterval(heartbeat));
+
+  subscribeToEvents();
+  console.log('🔌 Realtime updates available on /ws');
+
+  return wss;
+};
+
+module.exports = { attachRealtime, sendToUser };
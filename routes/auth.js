@@ -2,19 +2,46 @@ const express = require('express');
 const jwt = require('jsonwebtoken');
 const { body, validationResult } = require('express-validator');
 const User = require('../models/User');
+const Session = require('../models/Session');
 const { auth } = require('../middleware/auth');
+const { EMAIL_CATEGORIES, sendEmail } = require('../mail');
+const events = require('../utils/events');
 
 const router = express.Router();
 
-// Generate JWT Token
-const generateToken = (id) => {
+// Generate a short-lived access token (JWT) for a session.
+// tv pins the token to the user's current tokenVersion.
+const generateToken = (user, sessionId) => {
   const JWT_SECRET = process.env.JWT_SECRET || 'balajirao';
-  const JWT_EXPIRE = process.env.JWT_EXPIRE || '7d';
-  return jwt.sign({ id }, JWT_SECRET, {
+  const JWT_EXPIRE = process.env.JWT_EXPIRE || '15m';
+  return jwt.sign({ id: user._id, sid: sessionId, tv: user.tokenVersion }, JWT_SECRET, {
     expiresIn: JWT_EXPIRE
   });
 };
 
+// Start a session for this device and issue its access and refresh tokens
+const startSession = async (user, req) => {
+  const { session, refreshToken } = await Session.start(user, {
+    deviceName: req.body.deviceName,
+    userAgent: req.get('user-agent'),
+    ip: req.ip
+  });
+  return { token: generateToken(user, session._id), refreshToken };
+};
+
+// Link into the app for a token email (e.g. verify-email, reset-password)
+const appLink = (path, token) => {
+  const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:19006';
+  return `${FRONTEND_URL}/${path}?token=${token}`;
+};
+
+// Issue a fresh email verification token and email the link
+const sendVerificationEmail = async (user) => {
+  const token = user.createEmailVerificationToken();
+  await user.save({ validateBeforeSave: false });
+  await sendEmail(user, 'account', 'verify-email', { user, verifyUrl: appLink('verify-email', token) });
+};
+
 // @route   POST /api/auth/register
 // @desc    Register user
 // @access  Public
@@ -45,15 +72,20 @@ router.post('/register', [
     }
 
     // Create user
-    const user = await User.create({ name, email, password });
-    const token = generateToken(user._id);
+    const user = new User({ name, email, password });
+    const verificationToken = user.createEmailVerificationToken();
+    await user.save();
+    const { token, refreshToken } = await startSession(user, req);
+
+    events.emit('user:registered', { user, verifyUrl: appLink('verify-email', verificationToken) });
 
     res.status(201).json({
       success: true,
       message: 'User registered successfully',
       data: {
         user,
-        token
+        token,
+        refreshToken
       }
     });
   } catch (error) {
@@ -102,11 +134,18 @@ router.post('/login', [
       });
     }
 
+    if (!user.isActive) {
+      return res.status(401).json({
+        success: false,
+        message: 'User account is deactivated'
+      });
+    }
+
     // Update last login
     user.lastLogin = new Date();
     await user.save();
 
-    const token = generateToken(user._id);
+    const { token, refreshToken } = await startSession(user, req);
 
     res.json({
       success: true,
@@ -117,9 +156,11 @@ router.post('/login', [
           name: user.name,
           email: user.email,
           avatar: user.avatar,
-          role: user.role
+          role: user.role,
+          emailVerified: user.emailVerified
         },
-        token
+        token,
+        refreshToken
       }
     });
   } catch (error) {
@@ -152,11 +193,18 @@ router.get('/me', auth, async (req, res) => {
 });
 
 // @route   PUT /api/auth/profile
-// @desc    Update user profile
+// @desc    Update user profile. Changing the password (currentPassword + newPassword)
+//          logs out every other device and returns a new token for this one.
 // @access  Private
 router.put('/profile', auth, [
-  body('name').optional().trim().isLength({ min: 2 }).withMessage('Name must be at least 2 characters'),
-  body('email').optional().isEmail().normalizeEmail().withMessage('Please provide a valid email')
+  body('name').optional().trim().isLength({ min: 2, max: 50 }).withMessage('Name must be between 2 and 50 characters'),
+  body('newPassword').optional().isLength({ min: 6 }).withMessage('Password must be at least 6 characters'),
+  body('currentPassword').if(body('newPassword').exists()).notEmpty().withMessage('Current password is required'),
+  body('email').optional().isEmail().normalizeEmail().withMessage('Please provide a valid email'),
+  body('emailPreferences').optional().isObject().withMessage('Email preferences must be an object'),
+  ...EMAIL_CATEGORIES.map(category =>
+    body(`emailPreferences.${category}`).optional().isBoolean().withMessage(`emailPreferences.${category} must be true or false`)
+  )
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -168,10 +216,32 @@ router.put('/profile', auth, [
       });
     }
 
-    const { name, email } = req.body;
+    const { name, email, emailPreferences, currentPassword, newPassword } = req.body;
     const updateData = {};
+    let token;
+
+    // Every check runs before anything is saved, so a rejected request changes nothing
+    let account;
+    if (newPassword) {
+      account = await User.findById(req.user._id).select('+password');
+      const isMatch = await account.comparePassword(currentPassword);
+      if (!isMatch) {
+        return res.status(401).json({
+          success: false,
+          message: 'Current password is incorrect'
+        });
+      }
+    }
 
     if (name) updateData.name = name;
+    if (emailPreferences) {
+      EMAIL_CATEGORIES.forEach(category => {
+        if (emailPreferences[category] !== undefined) {
+          updateData[`emailPreferences.${category}`] = emailPreferences[category] === true ||
+            emailPreferences[category] === 'true';
+        }
+      });
+    }
     if (email) {
       // Check if email is already taken by another user
       const existingUser = await User.findOne({ email, _id: { $ne: req.user._id } });
@@ -181,7 +251,18 @@ router.put('/profile', auth, [
           message: 'Email is already taken'
         });
       }
-      updateData.email = email;
+      if (email !== req.user.email) {
+        updateData.email = email;
+        updateData.emailVerified = false;
+      }
+    }
+
+    if (account) {
+      // Saving bumps tokenVersion, which invalidates every access token issued so far
+      account.password = newPassword;
+      await account.save();
+      await Session.revokeAll(account._id, req.authSession._id);
+      token = generateToken(account, req.authSession._id);
     }
 
     const user = await User.findByIdAndUpdate(
@@ -190,11 +271,17 @@ router.put('/profile', auth, [
       { new: true, runValidators: true }
     );
 
+    // A changed address has to be verified again
+    if (updateData.email) {
+      await sendVerificationEmail(user);
+    }
+
     res.json({
       success: true,
       message: 'Profile updated successfully',
       data: {
-        user
+        user,
+        ...(token && { token })
       }
     });
   } catch (error) {
@@ -206,6 +293,332 @@ router.put('/profile', auth, [
   }
 });
 
+// @route   POST /api/auth/refresh
+// @desc    Exchange a refresh token for a new access token and refresh token
+// @access  Public
+router.post('/refresh', [
+  body('refreshToken').notEmpty().withMessage('Refresh token is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { session, refreshToken, error } = await Session.rotate(req.body.refreshToken);
+
+    if (error) {
+      return res.status(401).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const user = await User.findById(session.user);
+    if (!user || !user.isActive) {
+      await Session.revokeAll(session.user);
+      return res.status(401).json({
+        success: false,
+        message: 'User account is deactivated'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        token: generateToken(user, session._id),
+        refreshToken
+      }
+    });
+  } catch (error) {
+    console.error('Refresh token error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while refreshing token'
+    });
+  }
+});
+
+// @route   POST /api/auth/logout
+// @desc    Log out this device (revokes its session)
+// @access  Private
+router.post('/logout', auth, async (req, res) => {
+  try {
+    await Session.findByIdAndUpdate(req.authSession._id, { revokedAt: new Date() });
+
+    res.json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during logout'
+    });
+  }
+});
+
+// @route   POST /api/auth/logout-all
+// @desc    Log out everywhere (revokes every session, including this one)
+// @access  Private
+router.post('/logout-all', auth, async (req, res) => {
+  try {
+    const result = await Session.revokeAll(req.user._id);
+
+    res.json({
+      success: true,
+      message: 'Logged out of all devices',
+      data: { revoked: result.modifiedCount }
+    });
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during logout'
+    });
+  }
+});
+
+// @route   GET /api/auth/sessions
+// @desc    List active sessions (signed-in devices)
+// @access  Private
+router.get('/sessions', auth, async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      user: req.user._id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    }).sort({ lastUsedAt: -1 });
+
+    res.json({
+      success: true,
+      data: {
+        sessions: sessions.map(session => ({
+          ...session.toJSON(),
+          current: session._id.toString() === req.authSession._id.toString()
+        }))
+      }
+    });
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching sessions'
+    });
+  }
+});
+
+// @route   DELETE /api/auth/sessions/:id
+// @desc    Log out one device
+// @access  Private
+router.delete('/sessions/:id', auth, async (req, res) => {
+  try {
+    const session = await Session.findOneAndUpdate(
+      { _id: req.params.id, user: req.user._id, revokedAt: null },
+      { revokedAt: new Date() }
+    );
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Session revoked successfully'
+    });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while revoking session'
+    });
+  }
+});
+
+// @route   POST /api/auth/forgot-password
+// @desc    Email a password reset link. Responds the same whether or not the email exists.
+// @access  Public
+router.post('/forgot-password', [
+  body('email').isEmail().normalizeEmail().withMessage('Please provide a valid email')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findOne({ email: req.body.email, isActive: true });
+
+    if (user) {
+      const token = user.createPasswordResetToken();
+      await user.save({ validateBeforeSave: false });
+      // A mail failure must not change the response, or it would reveal the account exists
+      try {
+        await sendEmail(user, 'account', 'password-reset', {
+          user,
+          resetUrl: appLink('reset-password', token)
+        });
+      } catch (error) {
+        console.error('Password reset email error:', error);
+      }
+    }
+
+    res.json({
+      success: true,
+      message: 'If an account exists for this email, a reset link has been sent'
+    });
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while requesting password reset'
+    });
+  }
+});
+
+// @route   POST /api/auth/reset-password
+// @desc    Set a new password with a reset token (single use)
+// @access  Public
+router.post('/reset-password', [
+  body('token').notEmpty().withMessage('Reset token is required'),
+  body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    // Consume the token atomically so concurrent requests cannot both use it
+    const user = await User.findOneAndUpdate(
+      {
+        passwordResetToken: User.hashToken(req.body.token),
+        passwordResetExpires: { $gt: new Date() }
+      },
+      { $unset: { passwordResetToken: 1, passwordResetExpires: 1 } },
+      { new: true }
+    );
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Reset link is invalid or has expired'
+      });
+    }
+
+    user.password = req.body.password;
+    // Following the emailed link proves the address works
+    user.emailVerified = true;
+    await user.save();
+
+    // Whoever knew the old password is logged out everywhere
+    await Session.revokeAll(user._id);
+
+    res.json({
+      success: true,
+      message: 'Password reset successfully, please log in'
+    });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while resetting password'
+    });
+  }
+});
+
+// @route   POST /api/auth/verify-email
+// @desc    Confirm an email address with a verification token (single use)
+// @access  Public
+router.post('/verify-email', [
+  body('token').notEmpty().withMessage('Verification token is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findOneAndUpdate(
+      {
+        emailVerificationToken: User.hashToken(req.body.token),
+        emailVerificationExpires: { $gt: new Date() }
+      },
+      {
+        $set: { emailVerified: true },
+        $unset: { emailVerificationToken: 1, emailVerificationExpires: 1 }
+      },
+      { new: true }
+    );
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Verification link is invalid or has expired'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Email verified successfully',
+      data: { user }
+    });
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while verifying email'
+    });
+  }
+});
+
+// @route   POST /api/auth/resend-verification
+// @desc    Send a new email verification link
+// @access  Private
+router.post('/resend-verification', auth, async (req, res) => {
+  try {
+    if (req.user.emailVerified) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email is already verified'
+      });
+    }
+
+    await sendVerificationEmail(req.user);
+
+    res.json({
+      success: true,
+      message: 'Verification email sent'
+    });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while sending verification email'
+    });
+  }
+});
+
 module.exports = router;
 
 
@@ -2,7 +2,28 @@ const express = require('express');
 const { body, validationResult } = require('express-validator');
 const Booking = require('../models/Booking');
 const Property = require('../models/Property');
-const { auth, adminOnly } = require('../middleware/auth');
+const BookedNight = require('../models/BookedNight');
+const GuestReview = require('../models/GuestReview');
+const { auth, requirePermission, requirePropertyPermission } = require('../middleware/auth');
+const { can, canOnProperty, propertyRole } = require('../utils/permissions');
+const {
+  DAY_MS,
+  MAX_CALENDAR_DAYS,
+  startOfDay,
+  overlapFilter,
+  findBlockedRange,
+  checkStayRules
+} = require('../utils/availability');
+const { quoteStay } = require('../utils/pricing');
+const { normalizeParty, checkCapacity } = require('../utils/capacity');
+const { resolvePolicy, cancellationUpdate } = require('../utils/cancellation');
+const {
+  captureBookingPayment,
+  reverseCapture,
+  settleCancelledBooking
+} = require('../payments/bookingPayments');
+const { reviewDeadline, publishIfComplete } = require('../utils/reviews');
+const events = require('../utils/events');
 
 const router = express.Router();
 
@@ -13,7 +34,7 @@ router.get('/', auth, async (req, res) => {
   try {
     const { page = 1, limit = 10, status } = req.query;
 
-    const query = req.user.role === 'admin' ? {} : { user: req.user._id };
+    const query = can(req.user, 'booking:readAll') ? {} : { user: req.user._id };
 
     if (status) {
       query.status = status;
@@ -53,7 +74,7 @@ router.get('/', auth, async (req, res) => {
 router.get('/:id', auth, async (req, res) => {
   try {
     const booking = await Booking.findById(req.params.id)
-      .populate('property', 'title price images location owner')
+      .populate('property', 'title price images location owner managers')
       .populate('user', 'name email');
 
     if (!booking) {
@@ -63,11 +84,10 @@ router.get('/:id', auth, async (req, res) => {
       });
     }
 
-    // Check if user owns the booking or is admin or property owner
+    // Guests see their own bookings; hosts (owner, team, admin) those of the property
     if (
       booking.user._id.toString() !== req.user._id.toString() &&
-      req.user.role !== 'admin' &&
-      booking.property.owner.toString() !== req.user._id.toString()
+      !canOnProperty(req.user, booking.property, 'property:bookings')
     ) {
       return res.status(403).json({
         success: false,
@@ -91,11 +111,15 @@ router.get('/:id', auth, async (req, res) => {
 // @route   POST /api/bookings
 // @desc    Create new booking
 // @access  Private
-router.post('/', auth, [
+router.post('/', auth, requirePermission('booking:create'), [
   body('property').notEmpty().withMessage('Property ID is required'),
   body('checkIn').isISO8601().withMessage('Valid check-in date is required'),
   body('checkOut').isISO8601().withMessage('Valid check-out date is required'),
-  body('guests').isInt({ min: 1 }).withMessage('Number of guests must be at least 1')
+  body('guests').isInt({ min: 1 }).withMessage('Number of guests must be at least 1'),
+  body('adults').optional().isInt({ min: 1 }).withMessage('Number of adults must be at least 1'),
+  body('children').optional().isInt({ min: 0 }).withMessage('Number of children cannot be negative'),
+  body('infants').optional().isInt({ min: 0 }).withMessage('Number of infants cannot be negative'),
+  body('pets').optional().isInt({ min: 0 }).withMessage('Number of pets cannot be negative')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -107,7 +131,16 @@ router.post('/', auth, [
       });
     }
 
-    const { property: propertyId, checkIn, checkOut, guests, specialRequests } = req.body;
+    if (process.env.REQUIRE_EMAIL_VERIFICATION === 'true' && !req.user.emailVerified) {
+      return res.status(403).json({
+        success: false,
+        message: 'Please verify your email address before booking'
+      });
+    }
+
+    const { property: propertyId, checkIn, checkOut, specialRequests } = req.body;
+    const party = normalizeParty(req.body);
+    const { guests } = party;
 
     // Check if property exists and is available
     const property = await Property.findById(propertyId);
@@ -118,23 +151,61 @@ router.post('/', auth, [
       });
     }
 
-    if (!property.isAvailable) {
+    if (!property.isAvailable || property.status !== 'published') {
       return res.status(400).json({
         success: false,
         message: 'Property is not available for booking'
       });
     }
 
-    // Check for date conflicts
-    const checkInDate = new Date(checkIn);
-    const checkOutDate = new Date(checkOut);
+    const capacityError = checkCapacity(property, party);
+    if (capacityError) {
+      return res.status(400).json({
+        success: false,
+        message: capacityError
+      });
+    }
+
+    // Stays are whole nights: pricing, overlap checks and night reservations
+    // all work on midnight-UTC boundaries
+    const checkInDate = startOfDay(checkIn);
+    const checkOutDate = startOfDay(checkOut);
 
+    if (checkOutDate <= checkInDate) {
+      return res.status(400).json({
+        success: false,
+        message: 'Check-out date must be after check-in date'
+      });
+    }
+
+    if (checkOutDate - checkInDate > MAX_CALENDAR_DAYS * DAY_MS) {
+      return res.status(400).json({
+        success: false,
+        message: `A stay can be at most ${MAX_CALENDAR_DAYS} nights`
+      });
+    }
+
+    // Check owner-defined blackouts and stay rules
+    if (findBlockedRange(property, checkInDate, checkOutDate)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Property is not available for the selected dates'
+      });
+    }
+
+    const stayRuleError = checkStayRules(property, checkInDate, checkOutDate);
+    if (stayRuleError) {
+      return res.status(400).json({
+        success: false,
+        message: stayRuleError
+      });
+    }
+
+    // Check for date conflicts. BookedNight.reserve below is what makes this race-free;
+    // this also catches bookings made before nights were reserved per booking.
     const conflictingBooking = await Booking.findOne({
       property: propertyId,
-      status: { $in: ['pending', 'confirmed'] },
-      $or: [
-        { checkIn: { $lte: checkOutDate }, checkOut: { $gte: checkInDate } }
-      ]
+      ...overlapFilter(checkInDate, checkOutDate)
     });
 
     if (conflictingBooking) {
@@ -145,23 +216,49 @@ router.post('/', auth, [
     }
 
     // Calculate total price
-    const days = Math.ceil((checkOutDate - checkInDate) / (1000 * 60 * 60 * 24));
-    const totalPrice = property.price * days;
+    const priceBreakdown = quoteStay(property, checkInDate, checkOutDate, guests);
 
-    const booking = await Booking.create({
+    const booking = new Booking({
       property: propertyId,
       user: req.user._id,
       checkIn: checkInDate,
       checkOut: checkOutDate,
       guests,
-      totalPrice,
+      party: {
+        adults: party.adults,
+        children: party.children,
+        infants: party.infants,
+        pets: party.pets
+      },
+      totalPrice: priceBreakdown.total,
+      priceBreakdown,
+      cancellationPolicy: resolvePolicy(property.cancellationPolicy),
       specialRequests
     });
+    await booking.validate();
+
+    // Claim the nights atomically; a concurrent request for any of them loses here
+    const reserved = await BookedNight.reserve(booking._id, property._id, checkInDate, checkOutDate);
+    if (!reserved) {
+      return res.status(400).json({
+        success: false,
+        message: 'Property is already booked for selected dates'
+      });
+    }
+
+    try {
+      await booking.save();
+    } catch (error) {
+      await BookedNight.release(booking._id);
+      throw error;
+    }
 
     const populatedBooking = await Booking.findById(booking._id)
       .populate('property', 'title price images location')
       .populate('user', 'name email');
 
+    events.emit('booking:created', { booking: populatedBooking, property });
+
     res.status(201).json({
       success: true,
       message: 'Booking created successfully',
@@ -177,7 +274,7 @@ router.post('/', auth, [
 });
 
 // @route   PUT /api/bookings/:id
-// @desc    Update booking status
+// @desc    Update booking status (see Booking.STATUS_TRANSITIONS for who may do what)
 // @access  Private
 router.put('/:id', auth, async (req, res) => {
   try {
@@ -190,10 +287,10 @@ router.put('/:id', auth, async (req, res) => {
       });
     }
 
-    // Check authorization (user owns booking, property owner, or admin)
+    // Check authorization (guest, property owner or team member, or admin)
     const isOwner = booking.user.toString() === req.user._id.toString();
-    const isPropertyOwner = booking.property.owner.toString() === req.user._id.toString();
-    const isAdmin = req.user.role === 'admin';
+    const isAdmin = can(req.user, 'booking:manageAll');
+    const isPropertyOwner = canOnProperty(req.user, booking.property, 'property:bookings');
 
     if (!isOwner && !isPropertyOwner && !isAdmin) {
       return res.status(403).json({
@@ -202,30 +299,107 @@ router.put('/:id', auth, async (req, res) => {
       });
     }
 
-    const { status, paymentStatus } = req.body;
+    const { status, paymentStatus, cancellationReason } = req.body;
     const updateData = {};
 
-    if (status) {
-      updateData.status = status;
-      if (status === 'cancelled') {
-        updateData.cancelledAt = new Date();
-        if (req.body.cancellationReason) {
-          updateData.cancellationReason = req.body.cancellationReason;
-        }
+    // Payments taken through a provider are tracked by the payment subsystem;
+    // a manual paymentStatus is only for bookings settled outside it (e.g. cash)
+    if (paymentStatus && (isPropertyOwner || isAdmin)) {
+      if (booking.payment && booking.payment.intentId) {
+        return res.status(409).json({
+          success: false,
+          message: 'Payment status is managed by the payment provider for this booking'
+        });
       }
+      updateData.paymentStatus = paymentStatus;
     }
 
-    if (paymentStatus && (isPropertyOwner || isAdmin)) {
-      updateData.paymentStatus = paymentStatus;
+    let updatedBooking;
+
+    if (status && status !== booking.status) {
+      if (!Booking.BOOKING_STATUSES.includes(status)) {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid status: ${status}`
+        });
+      }
+
+      // Admins act as admin; otherwise the host side (owner or team) wins over guest
+      // so owners booking their own place can still confirm it
+      const role = isAdmin ? 'admin' : isPropertyOwner ? 'owner' : 'guest';
+
+      if (!Booking.canTransition(booking.status, status, role)) {
+        return res.status(409).json({
+          success: false,
+          message: `Cannot change booking status from ${booking.status} to ${status} as ${role}`
+        });
+      }
+
+      // Confirming captures first so a failed capture leaves the booking pending; the
+      // capture is refunded if the status change then loses a race
+      let captureUpdate = {};
+      if (status === 'confirmed') {
+        try {
+          captureUpdate = await captureBookingPayment(booking);
+        } catch (error) {
+          console.error('Booking payment error:', error);
+          return res.status(502).json({
+            success: false,
+            message: 'Payment provider error, booking status was not changed'
+          });
+        }
+        Object.assign(updateData, captureUpdate);
+      }
+
+      const cancellation = status === 'cancelled' ? cancellationUpdate(booking, role) : null;
+      if (cancellation) {
+        Object.assign(updateData, cancellation);
+      }
+
+      updatedBooking = await Booking.transitionStatus(
+        booking._id,
+        booking.status,
+        status,
+        { user: req.user._id, role, reason: cancellationReason },
+        updateData
+      );
+
+      if (!updatedBooking) {
+        try {
+          await reverseCapture(booking, captureUpdate);
+        } catch (error) {
+          console.error(`Failed to refund capture for booking ${booking._id}:`, error);
+        }
+        return res.status(409).json({
+          success: false,
+          message: 'Booking status was changed by someone else, please reload and try again'
+        });
+      }
+
+      // Cancelling releases the payment only once the cancellation has happened
+      if (cancellation) {
+        try {
+          updatedBooking = await settleCancelledBooking(booking, cancellation.refund.amount);
+        } catch (error) {
+          console.error(`Failed to release payment for booking ${booking._id}:`, error);
+          return res.status(502).json({
+            success: false,
+            message: 'Booking was cancelled, but the payment could not be released. Please contact support.'
+          });
+        }
+      }
+    } else {
+      updatedBooking = await Booking.findByIdAndUpdate(
+        req.params.id,
+        updateData,
+        { new: true, runValidators: true }
+      );
     }
 
-    const updatedBooking = await Booking.findByIdAndUpdate(
-      req.params.id,
-      updateData,
-      { new: true, runValidators: true }
-    )
-      .populate('property', 'title price images location')
-      .populate('user', 'name email');
+    await updatedBooking.populate([
+      { path: 'property', select: 'title price images location' },
+      { path: 'user', select: 'name email' }
+    ]);
 
     res.json({
       success: true,
@@ -244,7 +418,7 @@ router.put('/:id', auth, async (req, res) => {
 // @route   DELETE /api/bookings/:id
 // @desc    Delete booking
 // @access  Private (Admin only)
-router.delete('/:id', auth, adminOnly, async (req, res) => {
+router.delete('/:id', auth, requirePermission('booking:delete', 'Access denied. Admin only.'), async (req, res) => {
   try {
     const booking = await Booking.findById(req.params.id);
 
@@ -256,6 +430,7 @@ router.delete('/:id', auth, adminOnly, async (req, res) => {
     }
 
     await Booking.findByIdAndDelete(req.params.id);
+    await BookedNight.release(booking._id);
 
     res.json({
       success: true,
@@ -271,40 +446,171 @@ router.delete('/:id', auth, adminOnly, async (req, res) => {
 });
 
 // @route   GET /api/bookings/property/:propertyId
-// @desc    Get all bookings for a property
-// @access  Private (Property owner or Admin)
-router.get('/property/:propertyId', auth, async (req, res) => {
+// @desc    Get all bookings for a property, with each guest's rating
+// @access  Private (Property owner, co-host/manager or Admin)
+router.get('/property/:propertyId', auth, requirePropertyPermission('property:bookings', {
+  param: 'propertyId',
+  message: 'Not authorized to view property bookings'
+}), async (req, res) => {
   try {
-    const property = await Property.findById(req.params.propertyId);
+    // guestRating lets the owner judge pending requests
+    const bookings = await Booking.find({ property: req.params.propertyId })
+      .populate('user', 'name email guestRating')
+      .sort({ createdAt: -1 });
 
-    if (!property) {
+    res.json({
+      success: true,
+      data: { bookings }
+    });
+  } catch (error) {
+    console.error('Get property bookings error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching property bookings'
+    });
+  }
+});
+
+// @route   POST /api/bookings/:id/guest-review
+// @desc    Host reviews the guest of a completed stay. Hidden until the guest
+//          reviews the stay or the review window closes.
+// @access  Private (Property owner or co-host/manager)
+router.post('/:id/guest-review', auth, [
+  body('rating').isInt({ min: 1, max: 5 }).withMessage('Rating must be between 1 and 5'),
+  body('houseRules').isInt({ min: 1, max: 5 }).withMessage('House rules must be between 1 and 5'),
+  body('communication').isInt({ min: 1, max: 5 }).withMessage('Communication must be between 1 and 5'),
+  body('comment').optional().isLength({ max: 1000 }).withMessage('Comment cannot be more than 1000 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const booking = await Booking.findById(req.params.id).populate('property', 'owner managers');
+
+    if (!booking) {
       return res.status(404).json({
         success: false,
-        message: 'Property not found'
+        message: 'Booking not found'
       });
     }
 
-    // Check authorization
-    if (property.owner.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+    // The owner or a team member, not admins acting on someone else's listing
+    if (!propertyRole(booking.property, req.user)) {
       return res.status(403).json({
         success: false,
-        message: 'Not authorized to view property bookings'
+        message: 'Only the host can review this guest'
       });
     }
 
-    const bookings = await Booking.find({ property: req.params.propertyId })
-      .populate('user', 'name email')
-      .sort({ createdAt: -1 });
+    if (booking.status !== 'completed') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only completed stays can be reviewed'
+      });
+    }
+
+    const deadline = reviewDeadline(booking);
+    if (new Date() > deadline) {
+      return res.status(400).json({
+        success: false,
+        message: 'The review window for this stay has closed'
+      });
+    }
+
+    const existingReview = await GuestReview.findOne({ booking: booking._id });
+    if (existingReview) {
+      return res.status(400).json({
+        success: false,
+        message: 'This guest has already been reviewed for this stay'
+      });
+    }
+
+    const { rating, houseRules, communication, comment } = req.body;
+
+    let guestReview = await GuestReview.create({
+      booking: booking._id,
+      property: booking.property._id,
+      guest: booking.user,
+      host: req.user._id,
+      rating,
+      categories: { houseRules, communication },
+      comment,
+      publishAt: deadline
+    });
+
+    const published = await publishIfComplete(booking._id);
+    if (published) {
+      guestReview = await GuestReview.findById(guestReview._id);
+    }
+
+    events.emit('review:created', {
+      review: guestReview,
+      recipient: booking.user,
+      property: booking.property._id,
+      published
+    });
+
+    res.status(201).json({
+      success: true,
+      message: published
+        ? 'Guest review published successfully'
+        : 'Guest review saved; it will be published once the guest reviews the stay or the review window closes',
+      data: { guestReview }
+    });
+  } catch (error) {
+    // Unique index on booking catches a concurrent duplicate
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'This guest has already been reviewed for this stay'
+      });
+    }
+    console.error('Create guest review error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating guest review'
+    });
+  }
+});
+
+// @route   GET /api/bookings/guests/:userId/reviews
+// @desc    Get published host reviews of a guest
+// @access  Private
+router.get('/guests/:userId/reviews', auth, async (req, res) => {
+  try {
+    const { page = 1, limit = 10 } = req.query;
+    const query = { guest: req.params.userId, published: true };
+
+    const guestReviews = await GuestReview.find(query)
+      .populate('host', 'name avatar')
+      .populate('property', 'title')
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .exec();
+
+    const count = await GuestReview.countDocuments(query);
 
     res.json({
       success: true,
-      data: { bookings }
+      data: {
+        guestReviews,
+        totalPages: Math.ceil(count / limit),
+        currentPage: Number(page),
+        total: count
+      }
     });
   } catch (error) {
-    console.error('Get property bookings error:', error);
+    console.error('Get guest reviews error:', error);
     res.status(500).json({
       success: false,
-      message: 'Server error while fetching property bookings'
+      message: 'Server error while fetching guest reviews'
     });
   }
 });
@@ -0,0 +1,376 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Conversation = require('../models/Conversation');
+const Message = require('../models/Message');
+const Booking = require('../models/Booking');
+const Property = require('../models/Property');
+const { auth } = require('../middleware/auth');
+const { can, propertyRole, propertyTeam, managedPropertiesFilter } = require('../utils/permissions');
+const events = require('../utils/events');
+
+const router = express.Router();
+
+// The host side of a conversation is the property's owner and team; Conversation.host
+// records the owner.
+const conversationRole = async (conversation, user) => {
+  const role = conversation.participantRole(user._id);
+  if (role) return role;
+
+  const property = await Property.findById(conversation.property).select('owner managers');
+  if (propertyRole(property, user)) return 'host';
+
+  return can(user, 'conversation:readAll') ? 'admin' : null;
+};
+
+// Query matching the conversations a user takes part in, as guest or on the host side
+const participantFilter = async (userId) => {
+  const managed = await Property.find(managedPropertiesFilter(userId)).distinct('_id');
+  return { $or: [{ guest: userId }, { host: userId }, { property: { $in: managed } }] };
+};
+
+// Load a conversation the current user may see (guest, host or admin), or send 404/403.
+// Resolves to { conversation, role } where role is 'guest', 'host' or 'admin'.
+const loadConversation = async (req, res) => {
+  const conversation = await Conversation.findById(req.params.id);
+
+  if (!conversation) {
+    res.status(404).json({
+      success: false,
+      message: 'Conversation not found'
+    });
+    return {};
+  }
+
+  const role = await conversationRole(conversation, req.user);
+
+  if (!role) {
+    res.status(403).json({
+      success: false,
+      message: 'Not authorized to access this conversation'
+    });
+    return {};
+  }
+
+  return { conversation, role };
+};
+
+// Store a message, update the conversation's preview and the other side's unread count,
+// and announce it to the other side (the guest, or the property's owner and team)
+const sendMessage = async (conversation, senderRole, sender, text) => {
+  const message = await Message.create({ conversation: conversation._id, sender, text });
+  const recipientRole = senderRole === 'guest' ? 'host' : 'guest';
+
+  let recipients = [conversation.guest];
+  if (recipientRole === 'host') {
+    const property = await Property.findById(conversation.property).select('owner managers');
+    recipients = property ? propertyTeam(property) : [conversation.host];
+  }
+  recipients = recipients.filter(userId => userId.toString() !== sender.toString());
+
+  const updated = await Conversation.findByIdAndUpdate(
+    conversation._id,
+    {
+      $set: {
+        lastMessage: { text, sender, createdAt: message.createdAt },
+        lastMessageAt: message.createdAt
+      },
+      $inc: { [`unread.${recipientRole}`]: 1 }
+    },
+    { new: true }
+  );
+
+  events.emit('message:created', { message, conversation: updated, recipients });
+
+  return { message, conversation: updated };
+};
+
+// Conversation as JSON with the current user's unread count
+const withUnreadCount = (conversation, role) => ({
+  ...conversation.toJSON(),
+  unreadCount: role === 'guest' || role === 'host' ? conversation.unread[role] : 0
+});
+
+// @route   GET /api/conversations
+// @desc    Get current user's conversations, most recent first
+// @access  Private
+router.get('/', auth, async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+    const query = await participantFilter(req.user._id);
+
+    const conversations = await Conversation.find(query)
+      .populate('property', 'title images')
+      .populate('guest', 'name avatar')
+      .populate('host', 'name avatar')
+      .sort({ lastMessageAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .exec();
+
+    const count = await Conversation.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: {
+        conversations: conversations.map(c => withUnreadCount(c, c.participantRole(req.user._id) || 'host')),
+        totalPages: Math.ceil(count / limit),
+        currentPage: Number(page),
+        total: count
+      }
+    });
+  } catch (error) {
+    console.error('Get conversations error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching conversations'
+    });
+  }
+});
+
+// @route   GET /api/conversations/unread-count
+// @desc    Total unread messages across the current user's conversations
+// @access  Private
+router.get('/unread-count', auth, async (req, res) => {
+  try {
+    const [result] = await Conversation.aggregate([
+      { $match: await participantFilter(req.user._id) },
+      {
+        $group: {
+          _id: null,
+          unread: {
+            $sum: { $cond: [{ $eq: ['$guest', req.user._id] }, '$unread.guest', '$unread.host'] }
+          }
+        }
+      }
+    ]);
+
+    res.json({
+      success: true,
+      data: { unreadCount: result ? result.unread : 0 }
+    });
+  } catch (error) {
+    console.error('Get unread count error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching unread count'
+    });
+  }
+});
+
+// @route   POST /api/conversations
+// @desc    Start (or reopen) a conversation about a property or a booking, optionally
+//          with a first message. Guests can ask about any property; about a booking,
+//          either its guest or the property's owner or team can start it.
+// @access  Private
+router.post('/', auth, [
+  body('property').optional().notEmpty().withMessage('Property ID cannot be empty'),
+  body('booking').optional().notEmpty().withMessage('Booking ID cannot be empty'),
+  body('text').optional().trim().isLength({ min: 1, max: 2000 }).withMessage('Message must be between 1 and 2000 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    let property;
+    let guest;
+    let bookingId = null;
+
+    if (req.body.booking) {
+      const booking = await Booking.findById(req.body.booking).populate('property');
+
+      if (!booking) {
+        return res.status(404).json({
+          success: false,
+          message: 'Booking not found'
+        });
+      }
+
+      // Its guest or the host side (owner or team member)
+      if (
+        booking.user.toString() !== req.user._id.toString() &&
+        !propertyRole(booking.property, req.user)
+      ) {
+        return res.status(403).json({
+          success: false,
+          message: 'Not authorized to message about this booking'
+        });
+      }
+
+      property = booking.property;
+      guest = booking.user;
+      bookingId = booking._id;
+    } else {
+      if (!req.body.property) {
+        return res.status(400).json({
+          success: false,
+          message: 'Property or booking is required'
+        });
+      }
+
+      property = await Property.findById(req.body.property);
+
+      if (!property || property.status !== 'published') {
+        return res.status(404).json({
+          success: false,
+          message: 'Property not found'
+        });
+      }
+
+      if (propertyRole(property, req.user)) {
+        return res.status(400).json({
+          success: false,
+          message: 'You cannot start a conversation about a property you host'
+        });
+      }
+
+      guest = req.user._id;
+    }
+
+    let conversation = await Conversation.findOneAndUpdate(
+      { property: property._id, guest, booking: bookingId },
+      { $setOnInsert: { host: property.owner } },
+      { new: true, upsert: true }
+    );
+
+    const role = await conversationRole(conversation, req.user);
+
+    let message = null;
+    if (req.body.text) {
+      ({ message, conversation } = await sendMessage(conversation, role, req.user._id, req.body.text));
+    }
+
+    res.status(201).json({
+      success: true,
+      data: {
+        conversation: withUnreadCount(conversation, role),
+        message
+      }
+    });
+  } catch (error) {
+    console.error('Start conversation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while starting conversation'
+    });
+  }
+});
+
+// @route   GET /api/conversations/:id/messages
+// @desc    Get messages of a conversation, newest first
+// @access  Private (Guest, property owner or team, or Admin)
+router.get('/:id/messages', auth, async (req, res) => {
+  try {
+    const { conversation } = await loadConversation(req, res);
+    if (!conversation) return;
+
+    const { page = 1, limit = 30 } = req.query;
+    const query = { conversation: conversation._id };
+
+    const messages = await Message.find(query)
+      .populate('sender', 'name avatar')
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .exec();
+
+    const count = await Message.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: {
+        messages,
+        totalPages: Math.ceil(count / limit),
+        currentPage: Number(page),
+        total: count
+      }
+    });
+  } catch (error) {
+    console.error('Get messages error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching messages'
+    });
+  }
+});
+
+// @route   POST /api/conversations/:id/messages
+// @desc    Send a message
+// @access  Private (Guest, property owner or team)
+router.post('/:id/messages', auth, [
+  body('text').trim().isLength({ min: 1, max: 2000 }).withMessage('Message must be between 1 and 2000 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { conversation, role } = await loadConversation(req, res);
+    if (!conversation) return;
+
+    if (role === 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Only participants can send messages'
+      });
+    }
+
+    const { message } = await sendMessage(conversation, role, req.user._id, req.body.text);
+
+    res.status(201).json({
+      success: true,
+      message: 'Message sent',
+      data: { message }
+    });
+  } catch (error) {
+    console.error('Send message error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while sending message'
+    });
+  }
+});
+
+// @route   POST /api/conversations/:id/read
+// @desc    Mark the other participant's messages as read
+// @access  Private (Guest, property owner or team)
+router.post('/:id/read', auth, async (req, res) => {
+  try {
+    const { conversation, role } = await loadConversation(req, res);
+    if (!conversation) return;
+
+    if (role === 'admin') {
+      return res.json({ success: true, data: { updated: 0 } });
+    }
+
+    const result = await Message.updateMany(
+      { conversation: conversation._id, sender: { $ne: req.user._id }, readAt: null },
+      { readAt: new Date() }
+    );
+
+    await Conversation.findByIdAndUpdate(conversation._id, { [`unread.${role}`]: 0 });
+
+    res.json({
+      success: true,
+      data: { updated: result.modifiedCount }
+    });
+  } catch (error) {
+    console.error('Mark conversation read error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while marking messages as read'
+    });
+  }
+});
+
+module.exports = router;
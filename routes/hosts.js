@@ -0,0 +1,252 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const User = require('../models/User');
+const Property = require('../models/Property');
+const { auth, requirePermission } = require('../middleware/auth');
+const { can } = require('../utils/permissions');
+const events = require('../utils/events');
+
+const router = express.Router();
+
+// @route   GET /api/hosts/me
+// @desc    Current user's host profile and onboarding status
+// @access  Private
+router.get('/me', auth, async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: {
+        role: req.user.role,
+        hostProfile: req.user.hostProfile,
+        canPublish: can(req.user, 'property:create')
+      }
+    });
+  } catch (error) {
+    console.error('Get host profile error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching host profile'
+    });
+  }
+});
+
+// @route   PUT /api/hosts/me
+// @desc    Submit (or update) host onboarding details. Unverified applications go back
+//          to 'pending' for admin review; verified hosts only update their details.
+// @access  Private
+router.put('/me', auth, [
+  body('phone').trim().matches(/^\+?[0-9\s-]{7,20}$/).withMessage('Please provide a valid phone number'),
+  body('about').optional().isLength({ max: 1000 }).withMessage('About cannot be more than 1000 characters'),
+  body('payout.method').isIn(User.PAYOUT_METHODS).withMessage('Invalid payout method'),
+  body('payout.accountHolder').trim().notEmpty().withMessage('Account holder is required'),
+  body('payout.accountNumber').trim().isLength({ min: 4, max: 34 }).withMessage('Account number is required'),
+  body('idDocumentType').isIn(User.ID_DOCUMENT_TYPES).withMessage('Invalid ID document type')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { phone, about, payout, idDocumentType } = req.body;
+    const user = await User.findById(req.user._id);
+
+    Object.assign(user.hostProfile, {
+      phone,
+      idDocumentType,
+      payout: {
+        method: payout.method,
+        accountHolder: payout.accountHolder,
+        // Only the last four characters are kept for display
+        accountLast4: payout.accountNumber.slice(-4)
+      }
+    });
+    if (about !== undefined) user.hostProfile.about = about;
+
+    if (user.hostProfile.status !== 'verified') {
+      user.hostProfile.status = 'pending';
+      user.hostProfile.submittedAt = new Date();
+      user.hostProfile.rejectionReason = undefined;
+    }
+
+    await user.save();
+
+    res.json({
+      success: true,
+      message: user.hostProfile.status === 'pending'
+        ? 'Host application submitted for review'
+        : 'Host profile updated successfully',
+      data: {
+        hostProfile: user.hostProfile
+      }
+    });
+  } catch (error) {
+    console.error('Submit host profile error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while saving host profile'
+    });
+  }
+});
+
+// @route   GET /api/hosts/applications
+// @desc    Host applications by status (default pending), oldest first
+// @access  Private/Admin
+router.get('/applications', auth, requirePermission('host:review', 'Access denied. Admin only.'), async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status = 'pending' } = req.query;
+
+    if (!User.HOST_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid status'
+      });
+    }
+
+    const query = { 'hostProfile.status': status };
+
+    const users = await User.find(query)
+      .select('name email avatar role emailVerified hostProfile createdAt')
+      .sort({ 'hostProfile.submittedAt': 1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .exec();
+
+    const count = await User.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: {
+        users,
+        totalPages: Math.ceil(count / limit),
+        currentPage: Number(page),
+        total: count
+      }
+    });
+  } catch (error) {
+    console.error('Get host applications error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching host applications'
+    });
+  }
+});
+
+// @route   PUT /api/hosts/:userId/verification
+// @desc    Approve (verified) or reject a host application
+// @access  Private/Admin
+router.put('/:userId/verification', auth, requirePermission('host:review', 'Access denied. Admin only.'), [
+  body('status').isIn(['verified', 'rejected']).withMessage('Status must be verified or rejected'),
+  body('reason')
+    .if(body('status').equals('rejected'))
+    .trim()
+    .isLength({ min: 1, max: 500 })
+    .withMessage('A rejection reason is required (max 500 characters)')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { status, reason } = req.body;
+    const user = await User.findById(req.params.userId);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (user.hostProfile.status === 'not_submitted') {
+      return res.status(409).json({
+        success: false,
+        message: 'User has not applied to become a host'
+      });
+    }
+
+    user.hostProfile.status = status;
+    user.hostProfile.reviewedAt = new Date();
+    user.hostProfile.reviewedBy = req.user._id;
+    user.hostProfile.rejectionReason = status === 'rejected' ? reason : undefined;
+
+    // Admins keep their role; everyone else becomes (or stops being) a host
+    if (user.role !== 'admin') {
+      user.role = status === 'verified' ? 'host' : 'user';
+    }
+
+    await user.save();
+
+    events.emit('host:reviewed', { user, status, reason });
+
+    res.json({
+      success: true,
+      message: status === 'verified' ? 'Host verified' : 'Host application rejected',
+      data: {
+        user
+      }
+    });
+  } catch (error) {
+    console.error('Review host application error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while reviewing host application'
+    });
+  }
+});
+
+// @route   GET /api/hosts/:userId
+// @desc    Public host profile (verification badge, response rate, listings count)
+// @access  Public
+router.get('/:userId', async (req, res) => {
+  try {
+    const user = await User.findOne({ _id: req.params.userId, isActive: true })
+      .select('name avatar role hostProfile createdAt');
+
+    if (!user || user.role === 'user') {
+      return res.status(404).json({
+        success: false,
+        message: 'Host not found'
+      });
+    }
+
+    const listings = await Property.countDocuments({
+      owner: user._id,
+      isAvailable: true,
+      ...Property.publishedFilter()
+    });
+
+    res.json({
+      success: true,
+      data: {
+        host: {
+          _id: user._id,
+          name: user.name,
+          avatar: user.avatar,
+          about: user.hostProfile.about,
+          verified: user.hostProfile.status === 'verified',
+          responseRate: user.hostProfile.responseRate,
+          hostingSince: user.hostProfile.reviewedAt || user.createdAt,
+          listings
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get host error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching host'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,156 @@
+const express = require('express');
+const Booking = require('../models/Booking');
+const { auth } = require('../middleware/auth');
+const { getPaymentProvider } = require('../payments');
+const { startCheckout, handlePaymentEvent } = require('../payments/bookingPayments');
+
+const router = express.Router();
+
+// @route   POST /api/payments/bookings/:bookingId/checkout
+// @desc    Start paying for a booking; returns the provider's client secret
+// @access  Private (Booking guest)
+router.post('/bookings/:bookingId/checkout', auth, async (req, res) => {
+  try {
+    const booking = await Booking.findById(req.params.bookingId);
+
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      });
+    }
+
+    if (booking.user.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to pay for this booking'
+      });
+    }
+
+    if (!['pending', 'confirmed'].includes(booking.status)) {
+      return res.status(409).json({
+        success: false,
+        message: `Cannot pay for a ${booking.status} booking`
+      });
+    }
+
+    if (booking.paymentStatus !== 'pending' ||
+        ['authorized', 'captured'].includes(booking.payment && booking.payment.status)) {
+      return res.status(409).json({
+        success: false,
+        message: 'Booking has already been paid'
+      });
+    }
+
+    const intent = await startCheckout(booking);
+
+    res.status(201).json({
+      success: true,
+      message: 'Payment started',
+      data: {
+        provider: booking.payment.provider,
+        intentId: intent.id,
+        clientSecret: intent.clientSecret,
+        amount: intent.amount,
+        currency: booking.payment.currency
+      }
+    });
+  } catch (error) {
+    console.error('Start checkout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while starting payment'
+    });
+  }
+});
+
+// @route   POST /api/payments/webhook/:provider
+// @desc    Receive payment provider webhooks
+// @access  Public (signature verified by the provider adapter)
+router.post('/webhook/:provider', async (req, res) => {
+  let provider;
+  let event;
+  try {
+    provider = getPaymentProvider(req.params.provider);
+    event = provider.verifyWebhook(req.rawBody || Buffer.from(''), req.headers);
+  } catch (error) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid webhook'
+    });
+  }
+
+  try {
+    await handlePaymentEvent(event, provider.name);
+    res.json({ success: true, received: true });
+  } catch (error) {
+    console.error('Payment webhook error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while processing webhook'
+    });
+  }
+});
+
+// @route   POST /api/payments/mock/intents/:intentId/authorize
+// @desc    Simulate the customer paying with the mock gateway and deliver its webhook
+// @access  Private (Booking guest; not available in production)
+router.post('/mock/intents/:intentId/authorize', auth, async (req, res) => {
+  if (process.env.NODE_ENV === 'production') {
+    return res.status(404).json({
+      success: false,
+      message: 'Route not found'
+    });
+  }
+
+  try {
+    const provider = getPaymentProvider('mock');
+
+    // Same rule as checkout: only the booking's guest pays for it
+    const booking = await Booking.findOne({
+      'payment.provider': provider.name,
+      'payment.intentId': req.params.intentId
+    });
+
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payment not found'
+      });
+    }
+
+    if (booking.user.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to pay for this booking'
+      });
+    }
+
+    let webhook;
+    try {
+      webhook = provider.authorize(req.params.intentId);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    const event = provider.verifyWebhook(webhook.rawBody, webhook.headers);
+    const updatedBooking = await handlePaymentEvent(event, provider.name);
+
+    res.json({
+      success: true,
+      message: 'Payment authorized',
+      data: { booking: updatedBooking }
+    });
+  } catch (error) {
+    console.error('Mock authorize error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while authorizing payment'
+    });
+  }
+});
+
+module.exports = router;
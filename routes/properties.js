@@ -1,17 +1,110 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, query: queryParam, validationResult } = require('express-validator');
 const Property = require('../models/Property');
-const { auth, adminOnly } = require('../middleware/auth');
-const { cloudinary, upload, USE_CLOUDINARY } = require('../config/cloudinary');
-const fs = require('fs');
-const path = require('path');
+const Booking = require('../models/Booking');
+const Wishlist = require('../models/Wishlist');
+const { auth, optionalAuth, requirePermission, requirePropertyPermission } = require('../middleware/auth');
+const { upload, storeFiles, deleteFiles } = require('../storage/files');
+const {
+  DAY_MS,
+  MAX_CALENDAR_DAYS,
+  startOfDay,
+  addDays,
+  toDateKey,
+  overlapFilter,
+  notBlockedFilter,
+  stayRulesFilter,
+  buildCalendar
+} = require('../utils/availability');
+const { quoteStay } = require('../utils/pricing');
+const { capacityFilter } = require('../utils/capacity');
+const {
+  PROPERTY_TEAM_ROLES,
+  can,
+  canOnProperty,
+  canViewUnpublished,
+  managedPropertiesFilter
+} = require('../utils/permissions');
+const User = require('../models/User');
 
 const router = express.Router();
 
+const DEFAULT_RADIUS_KM = 10;
+
+// Managed by PUT /:id/status only
+const LIFECYCLE_FIELDS = ['status', 'rejectionReason', 'submittedAt', 'publishedAt', 'statusHistory'];
+
+// Maintained by the app (reviews keep rating up to date), never set by hosts
+const PROTECTED_FIELDS = ['rating', 'views', 'featured'];
+
+// Parse "minLng,minLat,maxLng,maxLat" into a GeoJSON polygon, or null if invalid
+const parseBounds = (bounds) => {
+  const parts = String(bounds).split(',').map(Number);
+  if (parts.length !== 4 || parts.some(n => !Number.isFinite(n))) return null;
+
+  const [minLng, minLat, maxLng, maxLat] = parts;
+  if (minLat < -90 || maxLat > 90 || minLat >= maxLat) return null;
+  if (minLng < -180 || maxLng > 180 || minLng >= maxLng) return null;
+
+  return {
+    type: 'Polygon',
+    coordinates: [[
+      [minLng, minLat],
+      [maxLng, minLat],
+      [maxLng, maxLat],
+      [minLng, maxLat],
+      [minLng, minLat]
+    ]]
+  };
+};
+
+// Send an approved or published listing back for review before its hosts change its
+// content (see Property.MODERATED_FIELDS); moderators' own edits need no review.
+// Resolves to false if the listing's status changed in the meantime.
+const resubmitForReview = async (property, user) => {
+  if (!['approved', 'published'].includes(property.status) || can(user, 'property:moderate')) {
+    return true;
+  }
+
+  const resubmitted = await Property.transitionStatus(property._id, property.status, 'submitted', {
+    user: user._id,
+    role: 'host',
+    reason: 'Listing edited'
+  });
+  if (!resubmitted) return false;
+
+  property.status = resubmitted.status;
+  property.submittedAt = resubmitted.submittedAt;
+  return true;
+};
+
+const LISTING_CHANGED_MESSAGE = 'Listing status was changed by someone else, please reload and try again';
+
+// Response message for a content edit, noting when the listing is (back) in review
+const editedMessage = (property, message) =>
+  (property.status === 'submitted' ? `${message}; listing sent for review` : message);
+
+// Add isFavorited (saved in any of the user's wishlists) to each property
+const withFavorites = async (properties, userId) => {
+  const favorited = await Wishlist.favoritedPropertyIds(userId, properties.map(p => p._id));
+  return properties.map(p => ({
+    ...(p.toJSON ? p.toJSON() : p),
+    isFavorited: favorited.has(p._id.toString())
+  }));
+};
+
 // @route   GET /api/properties
 // @desc    Get all properties with filters
+//          Geo search: lat & lng (+ optional radius in km) returns `distance` (km) per result
+//          and allows sortBy=distance; bounds=minLng,minLat,maxLng,maxLat limits to a map viewport
+//          Trip search: checkIn & checkOut exclude properties already booked or blocked for those
+//          dates, or whose stay rules reject the stay,
+//          guests/adults/children/infants exclude properties with a lower limit, pets>0 requires
+//          petsAllowed
+//          Authenticated callers get isFavorited on each property
+//          Only published listings are returned
 // @access  Public
-router.get('/', async (req, res) => {
+router.get('/', optionalAuth, async (req, res) => {
   try {
     const {
       page = 1,
@@ -23,11 +116,22 @@ router.get('/', async (req, res) => {
       propertyType,
       bedrooms,
       isAvailable,
+      lat,
+      lng,
+      radius,
+      bounds,
+      checkIn,
+      checkOut,
+      guests,
+      adults,
+      children,
+      infants,
+      pets,
       sortBy = 'createdAt',
       order = 'desc'
     } = req.query;
 
-    const query = {};
+    const query = Property.publishedFilter();
 
     // Build filter query
     if (search) {
@@ -56,17 +160,164 @@ router.get('/', async (req, res) => {
       query.isAvailable = isAvailable === 'true';
     }
 
+    // Capacity filters; properties without a limit set accept any party size
+    const partyCounts = { guests, adults, children, infants, pets };
+    for (const [field, value] of Object.entries(partyCounts)) {
+      if (value === undefined) continue;
+      const count = Number(value);
+      if (!Number.isInteger(count) || count < 0) {
+        return res.status(400).json({
+          success: false,
+          message: `${field} must be a non-negative integer`
+        });
+      }
+      partyCounts[field] = count;
+    }
+    Object.assign(query, capacityFilter(partyCounts));
+
+    // Trip dates
+    if (checkIn || checkOut) {
+      // Same whole-night boundaries as POST /api/bookings
+      const checkInDate = startOfDay(checkIn);
+      const checkOutDate = startOfDay(checkOut);
+
+      if (isNaN(checkInDate) || isNaN(checkOutDate)) {
+        return res.status(400).json({
+          success: false,
+          message: 'checkIn and checkOut must both be valid dates'
+        });
+      }
+
+      if (checkOutDate <= checkInDate) {
+        return res.status(400).json({
+          success: false,
+          message: 'Check-out date must be after check-in date'
+        });
+      }
+
+      const bookedPropertyIds = await Booking.distinct(
+        'property',
+        overlapFilter(checkInDate, checkOutDate)
+      );
+
+      query._id = { $nin: bookedPropertyIds };
+      // Trip searches default to bookable listings unless isAvailable is given explicitly
+      if (isAvailable === undefined) {
+        query.isAvailable = true;
+      }
+      query.$and = [
+        notBlockedFilter(checkInDate, checkOutDate),
+        stayRulesFilter(checkInDate, checkOutDate)
+      ];
+    }
+
+    // Geo filters
+    const hasPoint = lat !== undefined || lng !== undefined;
+    const latitude = Number(lat);
+    const longitude = Number(lng);
+
+    if (hasPoint && (
+      !Number.isFinite(latitude) || latitude < -90 || latitude > 90 ||
+      !Number.isFinite(longitude) || longitude < -180 || longitude > 180
+    )) {
+      return res.status(400).json({
+        success: false,
+        message: 'lat and lng must both be valid coordinates'
+      });
+    }
+
+    const radiusKm = radius !== undefined ? Number(radius) : DEFAULT_RADIUS_KM;
+    if (!Number.isFinite(radiusKm) || radiusKm <= 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'radius must be a positive number of kilometres'
+      });
+    }
+
+    if (bounds) {
+      const polygon = parseBounds(bounds);
+      if (!polygon) {
+        return res.status(400).json({
+          success: false,
+          message: 'bounds must be minLng,minLat,maxLng,maxLat'
+        });
+      }
+      query['location.geo'] = { $geoWithin: { $geometry: polygon } };
+    }
+
+    if (sortBy === 'distance' && !hasPoint) {
+      return res.status(400).json({
+        success: false,
+        message: 'sortBy=distance requires lat and lng'
+      });
+    }
+
+    if (hasPoint && search) {
+      return res.status(400).json({
+        success: false,
+        message: 'search cannot be combined with lat/lng'
+      });
+    }
+
     const sortOptions = {};
     sortOptions[sortBy] = order === 'desc' ? -1 : 1;
 
-    const properties = await Property.find(query)
-      .populate('owner', 'name email')
-      .sort(sortOptions)
-      .limit(limit * 1)
-      .skip((page - 1) * limit)
-      .exec();
+    let properties;
+    let count;
 
-    const count = await Property.countDocuments(query);
+    if (hasPoint) {
+      // $geoNear must be the first stage; it filters, computes distance and sorts by it
+      const geoNear = {
+        near: { type: 'Point', coordinates: [longitude, latitude] },
+        distanceField: 'distance',
+        distanceMultiplier: 0.001, // metres -> km
+        spherical: true,
+        query
+      };
+      // A viewport already bounds the results, so the radius only applies without one
+      if (!bounds) {
+        geoNear.maxDistance = radiusKm * 1000;
+      }
+
+      const pipeline = [{ $geoNear: geoNear }];
+      if (sortBy !== 'distance') {
+        pipeline.push({ $sort: sortOptions });
+      } else if (order === 'desc') {
+        pipeline.push({ $sort: { distance: -1 } });
+      }
+
+      const [result] = await Property.aggregate([
+        ...pipeline,
+        {
+          $facet: {
+            properties: [{ $skip: (page - 1) * limit }, { $limit: limit * 1 }],
+            total: [{ $count: 'count' }]
+          }
+        }
+      ]);
+
+      const docs = result.properties.map(doc => Property.hydrate(doc));
+      await Property.populate(docs, { path: 'owner', select: 'name email' });
+
+      properties = docs.map((doc, i) => ({
+        ...doc.toJSON(),
+        distance: result.properties[i].distance
+      }));
+      count = result.total.length > 0 ? result.total[0].count : 0;
+    } else {
+      properties = await Property.find(query)
+        .populate('owner', 'name email')
+        .sort(sortOptions)
+        .limit(limit * 1)
+        .skip((page - 1) * limit)
+        .exec();
+
+      count = await Property.countDocuments(query);
+    }
+
+    if (req.user) {
+      properties = await withFavorites(properties, req.user._id);
+    }
 
     res.json({
       success: true,
@@ -88,26 +339,31 @@ router.get('/', async (req, res) => {
 
 // @route   GET /api/properties/:id
 // @desc    Get single property by ID
-// @access  Public
-router.get('/:id', async (req, res) => {
+//          Authenticated callers get isFavorited
+// @access  Public (unpublished listings: owner, team or admin)
+router.get('/:id', optionalAuth, async (req, res) => {
   try {
     const property = await Property.findById(req.params.id)
       .populate('owner', 'name email avatar');
 
-    if (!property) {
+    if (!property || (property.status !== 'published' && !canViewUnpublished(req.user, property))) {
       return res.status(404).json({
         success: false,
         message: 'Property not found'
       });
     }
 
-    // Increment views
-    property.views += 1;
-    await property.save();
+    // Increment views of live listings
+    if (property.status === 'published') {
+      property.views += 1;
+      await property.save();
+    }
 
     res.json({
       success: true,
-      data: { property }
+      data: {
+        property: req.user ? (await withFavorites([property], req.user._id))[0] : property
+      }
     });
   } catch (error) {
     console.error('Get property error:', error);
@@ -118,15 +374,630 @@ router.get('/:id', async (req, res) => {
   }
 });
 
+// @route   GET /api/properties/:id/availability
+// @desc    Night-by-night calendar (booked/blocked/free) for [from, to)
+//          Defaults to the next 30 nights starting today
+// @access  Public (unpublished listings: owner, team or admin)
+router.get('/:id/availability', optionalAuth, [
+  queryParam('from').optional().isISO8601().withMessage('from must be a valid date'),
+  queryParam('to').optional().isISO8601().withMessage('to must be a valid date')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const from = startOfDay(req.query.from || new Date());
+    const to = req.query.to ? startOfDay(req.query.to) : addDays(from, 30);
+
+    if (to <= from) {
+      return res.status(400).json({
+        success: false,
+        message: 'to must be after from'
+      });
+    }
+
+    if (to - from > MAX_CALENDAR_DAYS * DAY_MS) {
+      return res.status(400).json({
+        success: false,
+        message: `Availability can be requested for at most ${MAX_CALENDAR_DAYS} days`
+      });
+    }
+
+    const property = await Property.findById(req.params.id);
+
+    if (!property || (property.status !== 'published' && !canViewUnpublished(req.user, property))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Property not found'
+      });
+    }
+
+    const bookings = await Booking.find({ property: property._id, ...overlapFilter(from, to) })
+      .select('checkIn checkOut status');
+
+    const days = buildCalendar({ property, bookings, from, to });
+
+    res.json({
+      success: true,
+      data: {
+        property: property._id,
+        from: toDateKey(from),
+        to: toDateKey(to),
+        stayRules: property.stayRules,
+        days
+      }
+    });
+  } catch (error) {
+    console.error('Get property availability error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching availability'
+    });
+  }
+});
+
+// @route   GET /api/properties/:id/quote
+// @desc    Itemized price for a stay (nightly rates, discounts, fees, taxes)
+// @access  Public (unpublished listings: owner, team or admin)
+router.get('/:id/quote', optionalAuth, [
+  queryParam('checkIn').isISO8601().withMessage('Valid check-in date is required'),
+  queryParam('checkOut').isISO8601().withMessage('Valid check-out date is required'),
+  queryParam('guests').optional().isInt({ min: 1 }).withMessage('Number of guests must be at least 1')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    // Same whole-night boundaries as POST /api/bookings
+    const checkInDate = startOfDay(req.query.checkIn);
+    const checkOutDate = startOfDay(req.query.checkOut);
+    const guests = Number(req.query.guests || 1);
+
+    if (checkOutDate <= checkInDate) {
+      return res.status(400).json({
+        success: false,
+        message: 'Check-out date must be after check-in date'
+      });
+    }
+
+    if (checkOutDate - checkInDate > MAX_CALENDAR_DAYS * DAY_MS) {
+      return res.status(400).json({
+        success: false,
+        message: `A quote can cover at most ${MAX_CALENDAR_DAYS} nights`
+      });
+    }
+
+    const property = await Property.findById(req.params.id);
+
+    if (!property || (property.status !== 'published' && !canViewUnpublished(req.user, property))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Property not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        property: property._id,
+        checkIn: checkInDate,
+        checkOut: checkOutDate,
+        quote: quoteStay(property, checkInDate, checkOutDate, guests)
+      }
+    });
+  } catch (error) {
+    console.error('Get price quote error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while calculating price'
+    });
+  }
+});
+
+// @route   POST /api/properties/:id/blocked-dates
+// @desc    Block a date range (nights from start up to, not including, end)
+// @access  Private (Owner, co-host/manager or Admin)
+router.post('/:id/blocked-dates', auth, requirePropertyPermission('property:calendar'), [
+  body('start').isISO8601().withMessage('Valid start date is required'),
+  body('end').isISO8601().withMessage('Valid end date is required'),
+  body('reason').optional().isIn(['maintenance', 'personal', 'other']).withMessage('Invalid reason'),
+  body('note').optional().isLength({ max: 200 }).withMessage('Note cannot be more than 200 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const property = req.property;
+
+    const start = startOfDay(req.body.start);
+    const end = startOfDay(req.body.end);
+
+    if (end <= start) {
+      return res.status(400).json({
+        success: false,
+        message: 'end must be after start'
+      });
+    }
+
+    property.blockedDates.push({
+      start,
+      end,
+      reason: req.body.reason,
+      note: req.body.note
+    });
+    await property.save();
+
+    // Existing bookings are left alone; let the owner know about any they now overlap
+    const overlappingBookings = await Booking.countDocuments({
+      property: property._id,
+      ...overlapFilter(start, end)
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Dates blocked successfully',
+      data: {
+        blockedDates: property.blockedDates,
+        overlappingBookings
+      }
+    });
+  } catch (error) {
+    console.error('Block dates error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while blocking dates'
+    });
+  }
+});
+
+// @route   DELETE /api/properties/:id/blocked-dates/:blockId
+// @desc    Remove a blocked date range
+// @access  Private (Owner, co-host/manager or Admin)
+router.delete('/:id/blocked-dates/:blockId', auth, requirePropertyPermission('property:calendar'), async (req, res) => {
+  try {
+    const property = req.property;
+
+    const range = property.blockedDates.id(req.params.blockId);
+    if (!range) {
+      return res.status(404).json({
+        success: false,
+        message: 'Blocked date range not found'
+      });
+    }
+
+    range.deleteOne();
+    await property.save();
+
+    res.json({
+      success: true,
+      message: 'Blocked dates removed successfully',
+      data: { blockedDates: property.blockedDates }
+    });
+  } catch (error) {
+    console.error('Unblock dates error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while removing blocked dates'
+    });
+  }
+});
+
+// @route   PUT /api/properties/:id/status
+// @desc    Move a listing through its lifecycle (see Property.LISTING_TRANSITIONS):
+//          hosts submit, withdraw, publish once approved, archive and relist;
+//          admins approve or reject (with a reason) and can take listings down
+// @access  Private (Owner, manager or Admin)
+router.put('/:id/status', auth, [
+  body('status').isIn(Property.LISTING_STATUSES).withMessage('Invalid status'),
+  body('reason').optional().trim().isLength({ max: 500 }).withMessage('Reason cannot be more than 500 characters'),
+  body('reason')
+    .if(body('status').equals('rejected'))
+    .notEmpty()
+    .withMessage('A rejection reason is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const property = await Property.findById(req.params.id);
+
+    if (!property) {
+      return res.status(404).json({
+        success: false,
+        message: 'Property not found'
+      });
+    }
+
+    const { status, reason } = req.body;
+    const roles = [];
+    if (canOnProperty(req.user, property, 'property:update')) roles.push('host');
+    if (can(req.user, 'property:moderate')) roles.push('admin');
+
+    if (roles.length === 0) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to update this property'
+      });
+    }
+
+    // Act in the first role allowed to make this change (host before admin)
+    const role = roles.find(r => Property.canTransition(property.status, status, r));
+    if (!role) {
+      return res.status(409).json({
+        success: false,
+        message: `Cannot change listing status from ${property.status} to ${status}`
+      });
+    }
+
+    if (status === 'published') {
+      const owner = await User.findById(property.owner);
+      if (!can(owner, 'property:create')) {
+        return res.status(403).json({
+          success: false,
+          message: 'Only listings of verified hosts can be published'
+        });
+      }
+    }
+
+    const updatedProperty = await Property.transitionStatus(
+      property._id,
+      property.status,
+      status,
+      { user: req.user._id, role, reason }
+    );
+
+    if (!updatedProperty) {
+      return res.status(409).json({
+        success: false,
+        message: 'Listing status changed in the meantime, please retry'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Listing ${status}`,
+      data: { property: updatedProperty }
+    });
+  } catch (error) {
+    console.error('Update listing status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating listing status'
+    });
+  }
+});
+
+// Find an image of req.property, or send a 404
+const findImage = (req, res) => {
+  const image = req.property.images.id(req.params.imageId);
+  if (!image) {
+    res.status(404).json({
+      success: false,
+      message: 'Image not found'
+    });
+  }
+  return image;
+};
+
+// @route   PUT /api/properties/:id/images/order
+// @desc    Reorder photos; order lists every image id, cover first.
+//          Like every photo change, sends an approved or published listing back for review.
+// @access  Private (Owner, manager or Admin)
+router.put('/:id/images/order', auth, requirePropertyPermission('property:update'), [
+  body('order').isArray({ min: 1 }).withMessage('order must be a list of image ids')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const property = req.property;
+    const order = req.body.order.map(String);
+    const images = order.map(id => property.images.id(id));
+
+    if (
+      order.length !== property.images.length ||
+      new Set(order).size !== order.length ||
+      images.some(image => !image)
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: 'order must list each image id of the property exactly once'
+      });
+    }
+
+    if (!await resubmitForReview(property, req.user)) {
+      return res.status(409).json({
+        success: false,
+        message: LISTING_CHANGED_MESSAGE
+      });
+    }
+
+    property.images = images.map(image => image.toObject());
+    await property.save();
+
+    res.json({
+      success: true,
+      message: editedMessage(property, 'Images reordered'),
+      data: { images: property.images, status: property.status }
+    });
+  } catch (error) {
+    console.error('Reorder images error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while reordering images'
+    });
+  }
+});
+
+// @route   PUT /api/properties/:id/images/:imageId/cover
+// @desc    Make an image the cover photo (moves it first; sends an approved or published
+//          listing back for review)
+// @access  Private (Owner, manager or Admin)
+router.put('/:id/images/:imageId/cover', auth, requirePropertyPermission('property:update'), async (req, res) => {
+  try {
+    const property = req.property;
+    const image = findImage(req, res);
+    if (!image) return;
+
+    if (!await resubmitForReview(property, req.user)) {
+      return res.status(409).json({
+        success: false,
+        message: LISTING_CHANGED_MESSAGE
+      });
+    }
+
+    property.images = [
+      image.toObject(),
+      ...property.images.filter(other => other !== image).map(other => other.toObject())
+    ];
+    await property.save();
+
+    res.json({
+      success: true,
+      message: editedMessage(property, 'Cover image updated'),
+      data: { images: property.images, status: property.status }
+    });
+  } catch (error) {
+    console.error('Set cover image error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating cover image'
+    });
+  }
+});
+
+// @route   PUT /api/properties/:id/images/:imageId
+// @desc    Update an image's caption and alt text (sends an approved or published listing
+//          back for review)
+// @access  Private (Owner, manager or Admin)
+router.put('/:id/images/:imageId', auth, requirePropertyPermission('property:update'), [
+  body('caption').optional({ nullable: true }).isString().isLength({ max: 200 }).withMessage('Caption cannot be more than 200 characters'),
+  body('alt').optional({ nullable: true }).isString().isLength({ max: 200 }).withMessage('Alt text cannot be more than 200 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const property = req.property;
+    const image = findImage(req, res);
+    if (!image) return;
+
+    if (!await resubmitForReview(property, req.user)) {
+      return res.status(409).json({
+        success: false,
+        message: LISTING_CHANGED_MESSAGE
+      });
+    }
+
+    const { caption, alt } = req.body;
+    if (caption !== undefined) image.caption = caption || undefined;
+    if (alt !== undefined) image.alt = alt || undefined;
+    await property.save();
+
+    res.json({
+      success: true,
+      message: editedMessage(property, 'Image updated'),
+      data: { image, status: property.status }
+    });
+  } catch (error) {
+    console.error('Update image error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating image'
+    });
+  }
+});
+
+// @route   DELETE /api/properties/:id/images/:imageId
+// @desc    Delete one photo and its stored file (sends an approved or published listing
+//          back for review)
+// @access  Private (Owner, manager or Admin)
+router.delete('/:id/images/:imageId', auth, requirePropertyPermission('property:update'), async (req, res) => {
+  try {
+    const property = req.property;
+    const image = findImage(req, res);
+    if (!image) return;
+
+    if (!await resubmitForReview(property, req.user)) {
+      return res.status(409).json({
+        success: false,
+        message: LISTING_CHANGED_MESSAGE
+      });
+    }
+
+    image.deleteOne();
+    await property.save();
+    await deleteFiles([image.key]);
+
+    res.json({
+      success: true,
+      message: editedMessage(property, 'Image deleted'),
+      data: { images: property.images, status: property.status }
+    });
+  } catch (error) {
+    console.error('Delete image error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while deleting image'
+    });
+  }
+});
+
+// @route   GET /api/properties/:id/managers
+// @desc    List the property's co-hosts and managers
+// @access  Private (Owner or Admin)
+router.get('/:id/managers', auth, requirePropertyPermission('property:team'), async (req, res) => {
+  try {
+    await req.property.populate('managers.user', 'name email avatar');
+
+    res.json({
+      success: true,
+      data: { managers: req.property.managers }
+    });
+  } catch (error) {
+    console.error('Get property managers error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching property managers'
+    });
+  }
+});
+
+// @route   PUT /api/properties/:id/managers
+// @desc    Add a co-host or manager by email, or change an existing member's role
+// @access  Private (Owner or Admin)
+router.put('/:id/managers', auth, requirePropertyPermission('property:team'), [
+  body('email').isEmail().normalizeEmail().withMessage('Please provide a valid email'),
+  body('role').isIn(PROPERTY_TEAM_ROLES).withMessage(`Role must be one of: ${PROPERTY_TEAM_ROLES.join(', ')}`)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const property = req.property;
+    const user = await User.findOne({ email: req.body.email, isActive: true });
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (user._id.equals(property.owner)) {
+      return res.status(400).json({
+        success: false,
+        message: 'The owner already manages this property'
+      });
+    }
+
+    const member = property.managers.find(m => m.user.equals(user._id));
+    if (member) {
+      member.role = req.body.role;
+    } else {
+      property.managers.push({ user: user._id, role: req.body.role });
+    }
+    await property.save();
+    await property.populate('managers.user', 'name email avatar');
+
+    res.json({
+      success: true,
+      message: member ? 'Team member updated' : 'Team member added',
+      data: { managers: property.managers }
+    });
+  } catch (error) {
+    console.error('Add property manager error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating property managers'
+    });
+  }
+});
+
+// @route   DELETE /api/properties/:id/managers/:userId
+// @desc    Remove a co-host or manager
+// @access  Private (Owner or Admin)
+router.delete('/:id/managers/:userId', auth, requirePropertyPermission('property:team'), async (req, res) => {
+  try {
+    const property = req.property;
+    const member = property.managers.find(m => m.user.toString() === req.params.userId);
+
+    if (!member) {
+      return res.status(404).json({
+        success: false,
+        message: 'Team member not found'
+      });
+    }
+
+    property.managers = property.managers.filter(m => m !== member);
+    await property.save();
+
+    res.json({
+      success: true,
+      message: 'Team member removed',
+      data: { managers: property.managers }
+    });
+  } catch (error) {
+    console.error('Remove property manager error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating property managers'
+    });
+  }
+});
+
 // @route   POST /api/properties
 // @desc    Create new property
-// @access  Private
-router.post('/', auth, upload.array('images', 5), async (req, res) => {
+// @access  Private (Verified host or Admin)
+router.post('/', auth, requirePermission('property:create', 'Only verified hosts can publish listings. Complete host onboarding first.'), upload.array('images', 5), async (req, res) => {
   console.log('🏠 ========== CREATE PROPERTY REQUEST RECEIVED ==========');
   console.log('👤 User:', req.user?._id);
   console.log('📁 Files:', req.files?.length || 0);
   console.log('📝 Body data:', req.body.data);
-  
+
+  let storedImages = [];
   try {
     // Parse the JSON data first
     const propertyData = JSON.parse(req.body.data || '{}');
@@ -161,22 +1032,6 @@ router.post('/', auth, upload.array('images', 5), async (req, res) => {
     
     if (errors.length > 0) {
       console.log('❌ Validation failed:', errors);
-      // Delete uploaded files if validation fails
-      if (req.files && req.files.length > 0) {
-        if (USE_CLOUDINARY) {
-          req.files.forEach(file => {
-            if (file.filename) {
-              cloudinary.uploader.destroy(file.filename).catch(err => console.error('Error deleting from Cloudinary:', err));
-            }
-          });
-        } else {
-          req.files.forEach(file => {
-            if (fs.existsSync(file.path)) {
-              fs.unlinkSync(file.path);
-            }
-          });
-        }
-      }
       return res.status(400).json({
         success: false,
         message: 'Validation failed',
@@ -186,16 +1041,17 @@ router.post('/', auth, upload.array('images', 5), async (req, res) => {
     console.log('✅ Validation passed');
     
     propertyData.owner = req.user._id;
+    // The team is managed through /:id/managers, the lifecycle through /:id/status;
+    // aggregates start from their defaults
+    delete propertyData.managers;
+    for (const field of [...LIFECYCLE_FIELDS, ...PROTECTED_FIELDS]) delete propertyData[field];
 
-    // Add uploaded image paths/URLs
+    // Store uploaded images; photos are only added by upload
+    delete propertyData.images;
     if (req.files && req.files.length > 0) {
-      if (USE_CLOUDINARY) {
-        propertyData.images = req.files.map(file => file.path); // Cloudinary URL
-        console.log('📸 Images uploaded to Cloudinary:', propertyData.images);
-      } else {
-        propertyData.images = req.files.map(file => `/uploads/properties/${file.filename}`); // Local path
-        console.log('📸 Images saved locally:', propertyData.images);
-      }
+      storedImages = await storeFiles(req.files, 'properties', 'property');
+      propertyData.images = storedImages;
+      console.log('📸 Images stored:', storedImages.map(image => image.url));
     }
 
     console.log('💾 Creating property in database...');
@@ -204,27 +1060,13 @@ router.post('/', auth, upload.array('images', 5), async (req, res) => {
 
     res.status(201).json({
       success: true,
-      message: 'Property created successfully',
+      message: 'Property saved as a draft. Submit it for review to publish it.',
       data: { property }
     });
   } catch (error) {
     console.error('❌ Create property error:', error);
-    // Delete uploaded files if property creation fails
-    if (req.files && req.files.length > 0) {
-      if (USE_CLOUDINARY) {
-        req.files.forEach(file => {
-          if (file.filename) {
-            cloudinary.uploader.destroy(file.filename).catch(err => console.error('Error deleting from Cloudinary:', err));
-          }
-        });
-      } else {
-        req.files.forEach(file => {
-          if (fs.existsSync(file.path)) {
-            fs.unlinkSync(file.path);
-          }
-        });
-      }
-    }
+    // Delete stored images if property creation fails
+    await deleteFiles(storedImages.map(image => image.key));
     res.status(500).json({
       success: false,
       message: 'Server error while creating property'
@@ -233,67 +1075,36 @@ router.post('/', auth, upload.array('images', 5), async (req, res) => {
 });
 
 // @route   PUT /api/properties/:id
-// @desc    Update property
-// @access  Private (Owner or Admin)
-router.put('/:id', auth, upload.array('images', 5), async (req, res) => {
+// @desc    Update property. Content edits (Property.MODERATED_FIELDS, new photos) to an
+//          approved or published listing send it back for review.
+// @access  Private (Owner, manager or Admin)
+router.put('/:id', auth, requirePropertyPermission('property:update', { message: 'Not authorized to update this property' }), upload.array('images', 5), async (req, res) => {
+  let storedImages = [];
   try {
-    const property = await Property.findById(req.params.id);
+    const property = req.property;
 
-    if (!property) {
-      // Delete uploaded files if property not found
-      if (req.files && req.files.length > 0) {
-        if (USE_CLOUDINARY) {
-          req.files.forEach(file => {
-            if (file.filename) {
-              cloudinary.uploader.destroy(file.filename).catch(err => console.error('Error deleting from Cloudinary:', err));
-            }
-          });
-        } else {
-          req.files.forEach(file => {
-            if (fs.existsSync(file.path)) {
-              fs.unlinkSync(file.path);
-            }
-          });
-        }
-      }
-      return res.status(404).json({
-        success: false,
-        message: 'Property not found'
-      });
-    }
+    const updateData = JSON.parse(req.body.data || '{}');
+    // Ownership, the team, the lifecycle and aggregates are not editable here
+    delete updateData.owner;
+    delete updateData.managers;
+    for (const field of [...LIFECYCLE_FIELDS, ...PROTECTED_FIELDS]) delete updateData[field];
 
-    // Check ownership or admin
-    if (property.owner.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
-      // Delete uploaded files if unauthorized
-      if (req.files && req.files.length > 0) {
-        if (USE_CLOUDINARY) {
-          req.files.forEach(file => {
-            if (file.filename) {
-              cloudinary.uploader.destroy(file.filename).catch(err => console.error('Error deleting from Cloudinary:', err));
-            }
-          });
-        } else {
-          req.files.forEach(file => {
-            if (fs.existsSync(file.path)) {
-              fs.unlinkSync(file.path);
-            }
-          });
-        }
-      }
-      return res.status(403).json({
+    // Add new uploaded images; existing photos are managed through /:id/images
+    delete updateData.images;
+    const hasUploads = Boolean(req.files && req.files.length > 0);
+
+    const changesContent = hasUploads ||
+      Object.keys(updateData).some(key => Property.MODERATED_FIELDS.includes(key.split('.')[0]));
+    if (changesContent && !await resubmitForReview(property, req.user)) {
+      return res.status(409).json({
         success: false,
-        message: 'Not authorized to update this property'
+        message: LISTING_CHANGED_MESSAGE
       });
     }
 
-    const updateData = JSON.parse(req.body.data || '{}');
-
-    // Add new uploaded images
-    if (req.files && req.files.length > 0) {
-      const newImages = USE_CLOUDINARY 
-        ? req.files.map(file => file.path) // Cloudinary URLs
-        : req.files.map(file => `/uploads/properties/${file.filename}`); // Local paths
-      updateData.images = [...(property.images || []), ...newImages];
+    if (hasUploads) {
+      storedImages = await storeFiles(req.files, 'properties', 'property');
+      updateData.images = [...property.images, ...storedImages];
     }
 
     const updatedProperty = await Property.findByIdAndUpdate(
@@ -304,27 +1115,15 @@ router.put('/:id', auth, upload.array('images', 5), async (req, res) => {
 
     res.json({
       success: true,
-      message: 'Property updated successfully',
+      message: changesContent
+        ? editedMessage(property, 'Property updated successfully')
+        : 'Property updated successfully',
       data: { property: updatedProperty }
     });
   } catch (error) {
     console.error('Update property error:', error);
-    // Delete uploaded files if update fails
-    if (req.files && req.files.length > 0) {
-      if (USE_CLOUDINARY) {
-        req.files.forEach(file => {
-          if (file.filename) {
-            cloudinary.uploader.destroy(file.filename).catch(err => console.error('Error deleting from Cloudinary:', err));
-          }
-        });
-      } else {
-        req.files.forEach(file => {
-          if (fs.existsSync(file.path)) {
-            fs.unlinkSync(file.path);
-          }
-        });
-      }
-    }
+    // Delete stored images if update fails
+    await deleteFiles(storedImages.map(image => image.key));
     res.status(500).json({
       success: false,
       message: 'Server error while updating property'
@@ -335,67 +1134,85 @@ router.put('/:id', auth, upload.array('images', 5), async (req, res) => {
 // @route   DELETE /api/properties/:id
 // @desc    Delete property
 // @access  Private (Owner or Admin)
-router.delete('/:id', auth, async (req, res) => {
+router.delete('/:id', auth, requirePropertyPermission('property:delete', { message: 'Not authorized to delete this property' }), async (req, res) => {
   try {
-    const property = await Property.findById(req.params.id);
+    const property = req.property;
 
-    if (!property) {
-      return res.status(404).json({
-        success: false,
-        message: 'Property not found'
-      });
-    }
+    await Property.findByIdAndDelete(req.params.id);
 
-    // Check ownership or admin
-    if (property.owner.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
-      return res.status(403).json({
+    // Delete associated images
+    await deleteFiles(property.images.map(image => image.key));
+
+    res.json({
+      success: true,
+      message: 'Property deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete property error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while deleting property'
+    });
+  }
+});
+
+// @route   GET /api/properties/moderation/queue
+// @desc    Listings by status for moderation (default submitted), oldest submission first
+// @access  Private/Admin
+router.get('/moderation/queue', auth, requirePermission('property:moderate', 'Access denied. Admin only.'), async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status = 'submitted' } = req.query;
+
+    if (!Property.LISTING_STATUSES.includes(status)) {
+      return res.status(400).json({
         success: false,
-        message: 'Not authorized to delete this property'
+        message: 'Invalid status'
       });
     }
 
-    // Delete associated images
-    if (property.images && property.images.length > 0) {
-      if (USE_CLOUDINARY) {
-        property.images.forEach(imageUrl => {
-          // Extract public_id from Cloudinary URL
-          const match = imageUrl.match(/\/property-rental\/properties\/([^/.]+)/);
-          if (match && match[1]) {
-            const publicId = `property-rental/properties/${match[1]}`;
-            cloudinary.uploader.destroy(publicId).catch(err => console.error('Error deleting from Cloudinary:', err));
-          }
-        });
-      } else {
-        property.images.forEach(imagePath => {
-          const fullPath = path.join(__dirname, '..', imagePath);
-          if (fs.existsSync(fullPath)) {
-            fs.unlinkSync(fullPath);
-          }
-        });
-      }
-    }
+    const query = { status };
 
-    await Property.findByIdAndDelete(req.params.id);
+    const properties = await Property.find(query)
+      .populate('owner', 'name email hostProfile.status')
+      .sort({ submittedAt: 1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .exec();
+
+    const count = await Property.countDocuments(query);
 
     res.json({
       success: true,
-      message: 'Property deleted successfully'
+      data: {
+        properties,
+        totalPages: Math.ceil(count / limit),
+        currentPage: Number(page),
+        total: count
+      }
     });
   } catch (error) {
-    console.error('Delete property error:', error);
+    console.error('Get moderation queue error:', error);
     res.status(500).json({
       success: false,
-      message: 'Server error while deleting property'
+      message: 'Server error while fetching moderation queue'
     });
   }
 });
 
 // @route   GET /api/properties/user/my-properties
-// @desc    Get current user's properties
+// @desc    Get properties the current user owns or helps manage, in every listing state
+//          (?status= to filter)
 // @access  Private
 router.get('/user/my-properties', auth, async (req, res) => {
   try {
-    const properties = await Property.find({ owner: req.user._id })
+    const query = managedPropertiesFilter(req.user._id);
+    if (req.query.status) {
+      query.status = req.query.status === 'published'
+        ? Property.publishedFilter().status
+        : req.query.status;
+    }
+
+    const properties = await Property.find(query)
       .sort({ createdAt: -1 });
 
     res.json({
@@ -0,0 +1,253 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Review = require('../models/Review');
+const Booking = require('../models/Booking');
+const Property = require('../models/Property');
+const { auth, optionalAuth } = require('../middleware/auth');
+const { can, propertyRole, canViewUnpublished } = require('../utils/permissions');
+const { reviewDeadline, publishIfComplete } = require('../utils/reviews');
+const events = require('../utils/events');
+
+// Mounted at /api/properties/:id/reviews
+const router = express.Router({ mergeParams: true });
+
+// @route   GET /api/properties/:id/reviews
+// @desc    Get published reviews for a property
+// @access  Public (unpublished listings: owner, team or admin)
+router.get('/', optionalAuth, async (req, res) => {
+  try {
+    const property = await Property.findById(req.params.id).select('status owner managers');
+
+    if (!property || (property.status !== 'published' && !canViewUnpublished(req.user, property))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Property not found'
+      });
+    }
+
+    const { page = 1, limit = 10 } = req.query;
+    const query = { property: req.params.id, published: true };
+
+    const reviews = await Review.find(query)
+      .populate('user', 'name avatar')
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .exec();
+
+    const count = await Review.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: {
+        reviews,
+        totalPages: Math.ceil(count / limit),
+        currentPage: Number(page),
+        total: count
+      }
+    });
+  } catch (error) {
+    console.error('Get reviews error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching reviews'
+    });
+  }
+});
+
+// @route   POST /api/properties/:id/reviews
+// @desc    Review a completed stay. Hidden until the host reviews the guest
+//          or the review window closes.
+// @access  Private (Guest of a completed booking)
+router.post('/', auth, [
+  body('booking').notEmpty().withMessage('Booking ID is required'),
+  body('rating').isInt({ min: 1, max: 5 }).withMessage('Rating must be between 1 and 5'),
+  body('cleanliness').isInt({ min: 1, max: 5 }).withMessage('Cleanliness must be between 1 and 5'),
+  body('accuracy').isInt({ min: 1, max: 5 }).withMessage('Accuracy must be between 1 and 5'),
+  body('location').isInt({ min: 1, max: 5 }).withMessage('Location must be between 1 and 5'),
+  body('comment').optional().isLength({ max: 1000 }).withMessage('Comment cannot be more than 1000 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const booking = await Booking.findById(req.body.booking);
+
+    if (!booking || booking.property.toString() !== req.params.id) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found for this property'
+      });
+    }
+
+    if (booking.user.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the guest of this booking can review it'
+      });
+    }
+
+    if (booking.status !== 'completed') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only completed stays can be reviewed'
+      });
+    }
+
+    const deadline = reviewDeadline(booking);
+    if (new Date() > deadline) {
+      return res.status(400).json({
+        success: false,
+        message: 'The review window for this stay has closed'
+      });
+    }
+
+    const existingReview = await Review.findOne({ booking: booking._id });
+    if (existingReview) {
+      return res.status(400).json({
+        success: false,
+        message: 'This stay has already been reviewed'
+      });
+    }
+
+    const { rating, cleanliness, accuracy, location, comment } = req.body;
+
+    let review = await Review.create({
+      property: booking.property,
+      booking: booking._id,
+      user: req.user._id,
+      rating,
+      categories: { cleanliness, accuracy, location },
+      comment,
+      publishAt: deadline
+    });
+
+    const published = await publishIfComplete(booking._id);
+    if (published) {
+      review = await Review.findById(review._id);
+    }
+    await review.populate('user', 'name avatar');
+
+    const property = await Property.findById(booking.property).select('owner');
+    if (property) {
+      events.emit('review:created', { review, recipient: property.owner, property: property._id, published });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: published
+        ? 'Review published successfully'
+        : 'Review saved; it will be published once the host reviews you or the review window closes',
+      data: { review }
+    });
+  } catch (error) {
+    // Unique index on booking catches a concurrent duplicate
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'This stay has already been reviewed'
+      });
+    }
+    console.error('Create review error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating review'
+    });
+  }
+});
+
+// @route   PUT /api/properties/:id/reviews/:reviewId/reply
+// @desc    Reply to a review (creates or replaces the reply)
+// @access  Private (Property owner or team)
+router.put('/:reviewId/reply', auth, [
+  body('text').trim().isLength({ min: 1, max: 1000 }).withMessage('Reply must be between 1 and 1000 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const review = await Review.findOne({ _id: req.params.reviewId, property: req.params.id, published: true });
+
+    if (!review) {
+      return res.status(404).json({
+        success: false,
+        message: 'Review not found'
+      });
+    }
+
+    const property = await Property.findById(review.property);
+
+    if (!propertyRole(property, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: "Only the property's hosts can reply to reviews"
+      });
+    }
+
+    review.ownerReply = { text: req.body.text, repliedAt: new Date() };
+    await review.save();
+
+    res.json({
+      success: true,
+      message: 'Reply saved successfully',
+      data: { review }
+    });
+  } catch (error) {
+    console.error('Reply to review error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while replying to review'
+    });
+  }
+});
+
+// @route   DELETE /api/properties/:id/reviews/:reviewId
+// @desc    Delete a review
+// @access  Private (Review author or Admin)
+router.delete('/:reviewId', auth, async (req, res) => {
+  try {
+    const review = await Review.findOne({ _id: req.params.reviewId, property: req.params.id });
+
+    if (!review) {
+      return res.status(404).json({
+        success: false,
+        message: 'Review not found'
+      });
+    }
+
+    if (review.user.toString() !== req.user._id.toString() && !can(req.user, 'review:moderate')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to delete this review'
+      });
+    }
+
+    await Review.findByIdAndDelete(review._id);
+    await Review.recalculateRating(review.property);
+
+    res.json({
+      success: true,
+      message: 'Review deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete review error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while deleting review'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,13 +1,16 @@
 const express = require('express');
+const { body, validationResult } = require('express-validator');
 const User = require('../models/User');
-const { auth, adminOnly } = require('../middleware/auth');
+const Session = require('../models/Session');
+const { auth, requirePermission } = require('../middleware/auth');
+const { can } = require('../utils/permissions');
 
 const router = express.Router();
 
 // @route   GET /api/users
 // @desc    Get all users (Admin only)
 // @access  Private/Admin
-router.get('/', auth, adminOnly, async (req, res) => {
+router.get('/', auth, requirePermission('user:manage', 'Access denied. Admin only.'), async (req, res) => {
   try {
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 10;
@@ -43,9 +46,16 @@ router.get('/', auth, adminOnly, async (req, res) => {
 
 // @route   GET /api/users/:id
 // @desc    Get user by ID
-// @access  Private
+// @access  Private (Own account or Admin)
 router.get('/:id', auth, async (req, res) => {
   try {
+    if (req.user._id.toString() !== req.params.id && !can(req.user, 'user:manage')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
     const user = await User.findById(req.params.id).select('-password');
     
     if (!user) {
@@ -71,36 +81,57 @@ router.get('/:id', auth, async (req, res) => {
 });
 
 // @route   PUT /api/users/:id
-// @desc    Update user (Admin only or own profile)
-// @access  Private
-router.put('/:id', auth, async (req, res) => {
+// @desc    Update a user's name, email, role or active state. Users edit their own
+//          profile through PUT /api/auth/profile.
+// @access  Private/Admin
+router.put('/:id', auth, requirePermission('user:manage', 'Access denied. Admin only.'), [
+  body('name').optional().trim().isLength({ min: 2, max: 50 }).withMessage('Name must be between 2 and 50 characters'),
+  body('email').optional().isEmail().normalizeEmail().withMessage('Please provide a valid email'),
+  body('role').optional().isIn(['user', 'host', 'admin']).withMessage('Invalid role'),
+  body('isActive').optional().isBoolean().withMessage('isActive must be true or false').toBoolean()
+], async (req, res) => {
   try {
-    const { name, email, role, isActive } = req.body;
-    
-    // Check if user is updating their own profile or is admin
-    if (req.user._id.toString() !== req.params.id && req.user.role !== 'admin') {
-      return res.status(403).json({
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
         success: false,
-        message: 'Access denied'
+        message: 'Validation failed',
+        errors: errors.array()
       });
     }
 
+    const { name, email, role, isActive } = req.body;
+
+    if (email) {
+      const existingUser = await User.findOne({ email, _id: { $ne: req.params.id } });
+      if (existingUser) {
+        return res.status(400).json({
+          success: false,
+          message: 'Email is already taken'
+        });
+      }
+    }
+
     const updateData = {};
     if (name) updateData.name = name;
     if (email) updateData.email = email;
-    
-    // Only admin can update role and isActive
-    if (req.user.role === 'admin') {
-      if (role !== undefined) updateData.role = role;
-      if (isActive !== undefined) updateData.isActive = isActive;
-    }
+    if (role !== undefined) updateData.role = role;
+    if (isActive !== undefined) updateData.isActive = isActive;
+
+    // Deactivating locks the account out of every device
+    const deactivating = updateData.isActive === false;
+    const update = deactivating ? { $set: updateData, $inc: { tokenVersion: 1 } } : updateData;
 
     const user = await User.findByIdAndUpdate(
       req.params.id,
-      updateData,
+      update,
       { new: true, runValidators: true }
     ).select('-password');
 
+    if (user && deactivating) {
+      await Session.revokeAll(user._id);
+    }
+
     if (!user) {
       return res.status(404).json({
         success: false,
@@ -127,14 +158,19 @@ router.put('/:id', auth, async (req, res) => {
 // @route   DELETE /api/users/:id
 // @desc    Delete user (Admin only)
 // @access  Private/Admin
-router.delete('/:id', auth, adminOnly, async (req, res) => {
+router.delete('/:id', auth, requirePermission('user:manage', 'Access denied. Admin only.'), async (req, res) => {
   try {
+    // Deactivating locks the account out of every device
     const user = await User.findByIdAndUpdate(
       req.params.id,
-      { isActive: false },
+      { $set: { isActive: false }, $inc: { tokenVersion: 1 } },
       { new: true }
     );
 
+    if (user) {
+      await Session.revokeAll(user._id);
+    }
+
     if (!user) {
       return res.status(404).json({
         success: false,
@@ -0,0 +1,304 @@
+const express = require('express');
+const crypto = require('crypto');
+const { body, validationResult } = require('express-validator');
+const Wishlist = require('../models/Wishlist');
+const Property = require('../models/Property');
+const { auth } = require('../middleware/auth');
+
+const router = express.Router();
+
+const PROPERTY_FIELDS = 'title price images location propertyType rating';
+
+// Load a wishlist owned by the current user, or send 404
+const findOwnWishlist = async (req, res) => {
+  const wishlist = await Wishlist.findOne({ _id: req.params.id, user: req.user._id });
+  if (!wishlist) {
+    res.status(404).json({
+      success: false,
+      message: 'Wishlist not found'
+    });
+  }
+  return wishlist;
+};
+
+// @route   GET /api/wishlists
+// @desc    Get current user's wishlists
+// @access  Private
+router.get('/', auth, async (req, res) => {
+  try {
+    const wishlists = await Wishlist.find({ user: req.user._id })
+      .populate('properties.property', PROPERTY_FIELDS)
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: { wishlists }
+    });
+  } catch (error) {
+    console.error('Get wishlists error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching wishlists'
+    });
+  }
+});
+
+// @route   GET /api/wishlists/shared/:token
+// @desc    View a shared wishlist (read-only). Only published listings are shown.
+// @access  Public
+router.get('/shared/:token', async (req, res) => {
+  try {
+    const wishlist = await Wishlist.findOne({ shareToken: req.params.token })
+      .select('-shareToken')
+      .populate('user', 'name avatar')
+      .populate({
+        path: 'properties.property',
+        select: PROPERTY_FIELDS,
+        match: Property.publishedFilter()
+      });
+
+    if (!wishlist) {
+      return res.status(404).json({
+        success: false,
+        message: 'Wishlist not found'
+      });
+    }
+
+    // Listings taken off the market since they were saved populate as null
+    wishlist.properties = wishlist.properties.filter(item => item.property);
+
+    res.json({
+      success: true,
+      data: { wishlist }
+    });
+  } catch (error) {
+    console.error('Get shared wishlist error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching wishlist'
+    });
+  }
+});
+
+// @route   POST /api/wishlists
+// @desc    Create a wishlist
+// @access  Private
+router.post('/', auth, [
+  body('name').trim().isLength({ min: 1, max: 50 }).withMessage('Name must be between 1 and 50 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const wishlist = await Wishlist.create({ user: req.user._id, name: req.body.name });
+
+    res.status(201).json({
+      success: true,
+      message: 'Wishlist created successfully',
+      data: { wishlist }
+    });
+  } catch (error) {
+    console.error('Create wishlist error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating wishlist'
+    });
+  }
+});
+
+// @route   PUT /api/wishlists/:id
+// @desc    Rename a wishlist
+// @access  Private (Owner)
+router.put('/:id', auth, [
+  body('name').trim().isLength({ min: 1, max: 50 }).withMessage('Name must be between 1 and 50 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const wishlist = await findOwnWishlist(req, res);
+    if (!wishlist) return;
+
+    wishlist.name = req.body.name;
+    await wishlist.save();
+
+    res.json({
+      success: true,
+      message: 'Wishlist updated successfully',
+      data: { wishlist }
+    });
+  } catch (error) {
+    console.error('Update wishlist error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating wishlist'
+    });
+  }
+});
+
+// @route   DELETE /api/wishlists/:id
+// @desc    Delete a wishlist
+// @access  Private (Owner)
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const wishlist = await findOwnWishlist(req, res);
+    if (!wishlist) return;
+
+    await Wishlist.findByIdAndDelete(wishlist._id);
+
+    res.json({
+      success: true,
+      message: 'Wishlist deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete wishlist error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while deleting wishlist'
+    });
+  }
+});
+
+// @route   POST /api/wishlists/:id/properties
+// @desc    Add a property to a wishlist
+// @access  Private (Owner)
+router.post('/:id/properties', auth, [
+  body('property').notEmpty().withMessage('Property ID is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const wishlist = await findOwnWishlist(req, res);
+    if (!wishlist) return;
+
+    const property = await Property.findById(req.body.property);
+    if (!property || property.status !== 'published') {
+      return res.status(404).json({
+        success: false,
+        message: 'Property not found'
+      });
+    }
+
+    // Skip the push when the property is already in the list
+    const updated = await Wishlist.findOneAndUpdate(
+      { _id: wishlist._id, 'properties.property': { $ne: property._id } },
+      { $push: { properties: { property: property._id } } },
+      { new: true }
+    );
+
+    res.json({
+      success: true,
+      message: 'Property saved to wishlist',
+      data: { wishlist: updated || wishlist }
+    });
+  } catch (error) {
+    console.error('Add wishlist property error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating wishlist'
+    });
+  }
+});
+
+// @route   DELETE /api/wishlists/:id/properties/:propertyId
+// @desc    Remove a property from a wishlist
+// @access  Private (Owner)
+router.delete('/:id/properties/:propertyId', auth, async (req, res) => {
+  try {
+    const wishlist = await findOwnWishlist(req, res);
+    if (!wishlist) return;
+
+    const updated = await Wishlist.findByIdAndUpdate(
+      wishlist._id,
+      { $pull: { properties: { property: req.params.propertyId } } },
+      { new: true }
+    );
+
+    res.json({
+      success: true,
+      message: 'Property removed from wishlist',
+      data: { wishlist: updated }
+    });
+  } catch (error) {
+    console.error('Remove wishlist property error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating wishlist'
+    });
+  }
+});
+
+// @route   POST /api/wishlists/:id/share
+// @desc    Share a wishlist read-only by link (returns the existing link if already shared)
+// @access  Private (Owner)
+router.post('/:id/share', auth, async (req, res) => {
+  try {
+    const wishlist = await findOwnWishlist(req, res);
+    if (!wishlist) return;
+
+    if (!wishlist.shareToken) {
+      wishlist.shareToken = crypto.randomBytes(16).toString('hex');
+      await wishlist.save();
+    }
+
+    res.json({
+      success: true,
+      message: 'Wishlist shared successfully',
+      data: {
+        shareToken: wishlist.shareToken,
+        shareUrl: `${req.protocol}://${req.get('host')}/api/wishlists/shared/${wishlist.shareToken}`
+      }
+    });
+  } catch (error) {
+    console.error('Share wishlist error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while sharing wishlist'
+    });
+  }
+});
+
+// @route   DELETE /api/wishlists/:id/share
+// @desc    Stop sharing a wishlist; the old link stops working
+// @access  Private (Owner)
+router.delete('/:id/share', auth, async (req, res) => {
+  try {
+    const wishlist = await findOwnWishlist(req, res);
+    if (!wishlist) return;
+
+    wishlist.shareToken = undefined;
+    await wishlist.save();
+
+    res.json({
+      success: true,
+      message: 'Wishlist is no longer shared'
+    });
+  } catch (error) {
+    console.error('Unshare wishlist error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while unsharing wishlist'
+    });
+  }
+});
+
+module.exports = router;
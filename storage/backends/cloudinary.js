@@ -0,0 +1,79 @@
+const cloudinary = require('cloudinary').v2;
+
+// Stores images on Cloudinary under `folder`. Cloudinary public ids have no file
+// extension, so a key like 'properties/photo.jpg' maps to '<folder>/properties/photo'.
+class CloudinaryStorage {
+  constructor({ cloudName, apiKey, apiSecret, folder }) {
+    this.name = 'cloudinary';
+    this.folder = folder;
+
+    cloudinary.config({
+      cloud_name: cloudName,
+      api_key: apiKey,
+      api_secret: apiSecret
+    });
+  }
+
+  publicId(key) {
+    return `${this.folder}/${key.replace(/\.[^/.]+$/, '')}`;
+  }
+
+  put(key, body) {
+    return new Promise((resolve, reject) => {
+      const stream = cloudinary.uploader.upload_stream(
+        {
+          public_id: this.publicId(key),
+          resource_type: 'image',
+          transformation: [{ width: 1000, height: 1000, crop: 'limit' }]
+        },
+        (error, result) => {
+          if (error) return reject(error);
+          resolve({ key, url: result.secure_url });
+        }
+      );
+      stream.end(body);
+    });
+  }
+
+  async delete(key) {
+    // Resolves with { result: 'not found' } for missing images, which is fine
+    await cloudinary.uploader.destroy(this.publicId(key));
+  }
+
+  url(key) {
+    return cloudinary.url(this.publicId(key), { secure: true });
+  }
+
+  async list(prefix = '') {
+    const files = [];
+    let nextCursor;
+
+    do {
+      const page = await cloudinary.api.resources({
+        type: 'upload',
+        prefix: `${this.folder}/${prefix}`,
+        max_results: 500,
+        next_cursor: nextCursor
+      });
+
+      for (const resource of page.resources) {
+        files.push({
+          key: `${resource.public_id.slice(this.folder.length + 1)}.${resource.format}`,
+          size: resource.bytes,
+          lastModified: new Date(resource.created_at)
+        });
+      }
+      nextCursor = page.next_cursor;
+    } while (nextCursor);
+
+    return files;
+  }
+
+  keyFromUrl(url) {
+    if (!url.includes('res.cloudinary.com')) return null;
+    const index = url.indexOf(`/${this.folder}/`);
+    return index === -1 ? null : url.slice(index + this.folder.length + 2);
+  }
+}
+
+module.exports = CloudinaryStorage;
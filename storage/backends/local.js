@@ -0,0 +1,76 @@
+const fs = require('fs');
+const path = require('path');
+
+// Stores files on the local disk under `dir`, served by express.static at `baseUrl`
+class LocalStorage {
+  constructor({ dir, baseUrl }) {
+    this.name = 'local';
+    this.dir = path.resolve(dir);
+    this.baseUrl = baseUrl.replace(/\/$/, '');
+  }
+
+  // Absolute path for a key, refusing keys that escape the storage directory
+  resolve(key) {
+    const filePath = path.resolve(this.dir, key);
+    if (!filePath.startsWith(this.dir + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  }
+
+  async put(key, body) {
+    const filePath = this.resolve(key);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.writeFile(filePath, body);
+    return { key, url: this.url(key) };
+  }
+
+  async delete(key) {
+    try {
+      await fs.promises.unlink(this.resolve(key));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+  }
+
+  url(key) {
+    return `${this.baseUrl}/${key}`;
+  }
+
+  async list(prefix = '') {
+    const files = [];
+
+    const walk = async (dir) => {
+      let entries;
+      try {
+        entries = await fs.promises.readdir(dir, { withFileTypes: true });
+      } catch (error) {
+        if (error.code === 'ENOENT') return;
+        throw error;
+      }
+
+      for (const entry of entries) {
+        const filePath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+          await walk(filePath);
+          continue;
+        }
+
+        const key = path.relative(this.dir, filePath).split(path.sep).join('/');
+        if (!key.startsWith(prefix)) continue;
+
+        const stats = await fs.promises.stat(filePath);
+        files.push({ key, size: stats.size, lastModified: stats.mtime });
+      }
+    };
+
+    await walk(this.dir);
+    return files;
+  }
+
+  keyFromUrl(url) {
+    return url.startsWith(`${this.baseUrl}/`) ? url.slice(this.baseUrl.length + 1) : null;
+  }
+}
+
+module.exports = LocalStorage;
@@ -0,0 +1,61 @@
+const crypto = require('crypto');
+const path = require('path');
+const multer = require('multer');
+const { getStorage } = require('./index');
+
+const MAX_FILE_SIZE = Number(process.env.MAX_FILE_SIZE) || 5 * 1024 * 1024; // 5MB
+const IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/gif'];
+
+// Multer keeps uploads in memory; routes store them with storeFiles once the request is valid
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_FILE_SIZE },
+  fileFilter: (req, file, cb) => {
+    if (IMAGE_TYPES.includes(file.mimetype)) {
+      cb(null, true);
+    } else {
+      const error = new Error('Only JPEG, PNG, WebP and GIF images are allowed');
+      error.status = 400;
+      cb(error);
+    }
+  }
+});
+
+// Unique key for an uploaded file, e.g. 'properties/property-1700000000000-1a2b3c4d.jpg'
+const fileKey = (folder, prefix, file) => {
+  const suffix = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+  return `${folder}/${prefix}-${suffix}${path.extname(file.originalname).toLowerCase()}`;
+};
+
+// Delete stored files by key. Failures are logged, not thrown, so a leftover file never
+// blocks the database change that triggered the cleanup.
+const deleteFiles = async (keys) => {
+  const storage = getStorage();
+  await Promise.all(keys.filter(Boolean).map(key =>
+    storage.delete(key).catch(error => console.error(`Error deleting ${key} from ${storage.name} storage:`, error))
+  ));
+};
+
+// Store multer's in-memory files under `folder`, named `<prefix>-<unique>.<ext>`.
+// Resolves to [{ key, url }]; if any upload fails, the ones already stored are
+// removed before rethrowing.
+const storeFiles = async (files, folder, prefix) => {
+  const storage = getStorage();
+  const results = await Promise.allSettled(files.map(file =>
+    storage.put(fileKey(folder, prefix, file), file.buffer, { contentType: file.mimetype })
+  ));
+
+  const failed = results.find(result => result.status === 'rejected');
+  if (failed) {
+    await deleteFiles(results.filter(r => r.status === 'fulfilled').map(r => r.value.key));
+    throw failed.reason;
+  }
+
+  return results.map(result => result.value);
+};
+
+module.exports = {
+  upload,
+  storeFiles,
+  deleteFiles
+};
@@ -0,0 +1,77 @@
+const path = require('path');
+
+// Storage backends implement:
+//   name
+//   put(key, body, { contentType }) -> { key, url }
+//   delete(key)                     -> resolves; deleting a missing file is not an error
+//   url(key)                        -> public URL of the file
+//   list(prefix)                    -> [{ key, size, lastModified }]
+//   keyFromUrl(url)                 -> key of a URL this backend serves, or null
+// Keys are backend-neutral paths such as 'properties/property-123.jpg'.
+// Pick one with STORAGE_BACKEND; add others with registerStorageBackend.
+
+// Served by server.js at /uploads
+const LOCAL_UPLOADS_DIR = path.join(__dirname, '..', 'uploads');
+
+// Cloudinary is configured when its credentials are set to something other than the placeholders
+const isCloudinaryConfigured = () => {
+  const cloudName = process.env.CLOUDINARY_CLOUD_NAME;
+  const apiKey = process.env.CLOUDINARY_API_KEY;
+  const apiSecret = process.env.CLOUDINARY_API_SECRET;
+
+  return Boolean(cloudName && apiKey && apiSecret &&
+    cloudName !== 'your_cloud_name' &&
+    apiKey !== 'your_api_key' &&
+    apiSecret !== 'your_api_secret');
+};
+
+// Backends are required on first use, so only the configured one (and its SDK) is loaded
+const factories = {
+  local: () => new (require('./backends/local'))({
+    dir: LOCAL_UPLOADS_DIR,
+    baseUrl: '/uploads'
+  }),
+  cloudinary: () => new (require('./backends/cloudinary'))({
+    cloudName: process.env.CLOUDINARY_CLOUD_NAME,
+    apiKey: process.env.CLOUDINARY_API_KEY,
+    apiSecret: process.env.CLOUDINARY_API_SECRET,
+    folder: process.env.CLOUDINARY_FOLDER || 'property-rental'
+  }),
+  s3: () => new (require('./backends/s3'))({
+    endpoint: process.env.S3_ENDPOINT,
+    region: process.env.S3_REGION || 'us-east-1',
+    bucket: process.env.S3_BUCKET,
+    accessKeyId: process.env.S3_ACCESS_KEY_ID,
+    secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+    publicUrl: process.env.S3_PUBLIC_URL,
+    pathStyle: process.env.S3_FORCE_PATH_STYLE !== 'false'
+  })
+};
+
+const backends = {};
+
+// Backend instance by name; defaults to STORAGE_BACKEND, else Cloudinary when configured, else local disk
+const getStorage = (name = process.env.STORAGE_BACKEND || (isCloudinaryConfigured() ? 'cloudinary' : 'local')) => {
+  if (!factories[name]) {
+    throw new Error(`Unknown storage backend: ${name}`);
+  }
+  if (!backends[name]) {
+    backends[name] = factories[name]();
+  }
+  return backends[name];
+};
+
+const registerStorageBackend = (name, factory) => {
+  factories[name] = factory;
+  delete backends[name];
+};
+
+// Storage key of a stored file's URL (for records saved before keys were kept), or undefined
+const keyFromUrl = (url) => getStorage().keyFromUrl(url) || undefined;
+
+module.exports = {
+  LOCAL_UPLOADS_DIR,
+  getStorage,
+  registerStorageBackend,
+  keyFromUrl
+};
@@ -0,0 +1,98 @@
+const mongoose = require('mongoose');
+const request = require('supertest');
+const app = require('../app');
+const User = require('../models/User');
+const Property = require('../models/Property');
+const Booking = require('../models/Booking');
+const BookedNight = require('../models/BookedNight');
+const { startOfDay, addDays } = require('../utils/availability');
+
+// Integration test against a real MongoDB server (npm run test:db). Skipped unless
+// MONGODB_TEST_URI is set; that database is dropped before and after the run.
+const { MONGODB_TEST_URI } = process.env;
+const describeWithDb = MONGODB_TEST_URI ? describe : describe.skip;
+
+const GUESTS = 8;
+const NIGHTS = 3;
+const PASSWORD = 'password123';
+
+describeWithDb('POST /api/bookings under concurrency', () => {
+  let property;
+  let tokens;
+
+  beforeAll(async () => {
+    await mongoose.connect(MONGODB_TEST_URI, { serverSelectionTimeoutMS: 5000 });
+    await mongoose.connection.dropDatabase();
+    // The unique (property, night) index is what settles the race, so it must exist first
+    await BookedNight.init();
+
+    const host = await User.create({
+      name: 'Host',
+      email: 'host@example.com',
+      password: PASSWORD,
+      role: 'host',
+      hostProfile: { status: 'verified' }
+    });
+
+    property = await Property.create({
+      title: 'Race Cottage',
+      description: 'A cottage many guests want on the same nights',
+      price: 100,
+      location: { address: '1 Main St', city: 'Goa', country: 'India' },
+      owner: host._id,
+      status: 'published'
+    });
+
+    const guests = await User.create(Array.from({ length: GUESTS }, (_, i) => ({
+      name: `Guest ${i}`,
+      email: `guest${i}@example.com`,
+      password: PASSWORD
+    })));
+
+    tokens = [];
+    for (const guest of guests) {
+      const res = await request(app)
+        .post('/api/auth/login')
+        .send({ email: guest.email, password: PASSWORD })
+        .expect(200);
+      tokens.push(res.body.data.token);
+    }
+  }, 30000);
+
+  afterAll(async () => {
+    if (mongoose.connection.readyState === 1) {
+      await mongoose.connection.dropDatabase();
+    }
+    await mongoose.disconnect();
+  });
+
+  it('confirms exactly one of many simultaneous requests for the same nights', async () => {
+    const checkIn = addDays(startOfDay(new Date()), 30);
+    const checkOut = addDays(checkIn, NIGHTS);
+
+    const responses = await Promise.all(tokens.map(token =>
+      request(app)
+        .post('/api/bookings')
+        .set('Authorization', `Bearer ${token}`)
+        .send({
+          property: property._id.toString(),
+          checkIn: checkIn.toISOString(),
+          checkOut: checkOut.toISOString(),
+          guests: 1
+        })
+    ));
+
+    const created = responses.filter(res => res.status === 201);
+    expect(created).toHaveLength(1);
+    expect(responses.filter(res => res.status === 400)).toHaveLength(GUESTS - 1);
+
+    const bookingId = created[0].body.data.booking._id;
+    expect(await Booking.countDocuments({ property: property._id })).toBe(1);
+
+    const nights = await BookedNight.find({ property: property._id }).sort({ night: 1 });
+    expect(nights).toHaveLength(NIGHTS);
+    expect(nights.every(night => night.booking.toString() === bookingId)).toBe(true);
+    expect(nights.map(night => night.night.getTime()))
+      .toEqual([0, 1, 2].map(i => addDays(checkIn, i).getTime()));
+  }, 30000);
+});
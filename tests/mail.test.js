@@ -0,0 +1,65 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const outboxDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mail-outbox-'));
+process.env.MAIL_OUTBOX_DIR = outboxDir;
+delete process.env.MAIL_TRANSPORT;
+
+const { getMailTransport, sendEmail } = require('../mail');
+
+describe('sendEmail', () => {
+  let outbox;
+  let messages;
+
+  beforeAll(() => {
+    outbox = getMailTransport();
+    messages = outbox.startCapture();
+  });
+
+  afterEach(() => outbox.clear());
+
+  afterAll(() => {
+    outbox.stopCapture();
+    fs.rmSync(outboxDir, { recursive: true, force: true });
+  });
+
+  const user = {
+    name: 'Asha',
+    email: 'asha@example.com',
+    emailPreferences: { bookingRequests: true, bookingUpdates: false }
+  };
+
+  it('uses the outbox outside production', () => {
+    expect(outbox.name).toBe('outbox');
+  });
+
+  it('renders the template and captures the message', async () => {
+    await sendEmail(user, 'account', 'welcome', { user, verifyUrl: 'http://app/verify-email?token=abc' });
+
+    expect(messages).toHaveLength(1);
+    expect(messages[0]).toMatchObject({
+      to: 'asha@example.com',
+      subject: 'Welcome to Rental Homes, Asha!',
+      template: 'welcome',
+      category: 'account'
+    });
+    expect(messages[0].text).toContain('http://app/verify-email?token=abc');
+    expect(fs.readdirSync(outboxDir)).toHaveLength(1);
+  });
+
+  it('skips categories the user opted out of', async () => {
+    const sent = await sendEmail(user, 'bookingUpdates', 'booking-confirmed', {});
+
+    expect(sent).toBeNull();
+    expect(messages).toHaveLength(0);
+  });
+
+  it('keeps nothing in memory unless capturing', async () => {
+    outbox.stopCapture();
+    await sendEmail(user, 'account', 'welcome', { user });
+
+    expect(outbox.messages).toBeNull();
+    messages = outbox.startCapture();
+  });
+});
@@ -0,0 +1,26 @@
+const Booking = require('../models/Booking');
+const { quoteStay } = require('../utils/pricing');
+
+describe('quoteStay', () => {
+  const property = {
+    price: 100,
+    pricing: {
+      weekendPrice: 150,
+      weekendDays: [5, 6],
+      weeklyDiscount: 10,
+      cleaningFee: 25,
+      includedGuests: 2,
+      extraGuestFee: 20,
+      taxRate: 12
+    }
+  };
+
+  it('is stored on a booking exactly as quoted', () => {
+    // Thursday to the next Friday: 8 nights, two of them weekend nights
+    const quote = quoteStay(property, new Date('2030-01-03'), new Date('2030-01-11'), 3);
+    const booking = new Booking({ priceBreakdown: quote });
+
+    expect(quote).toMatchObject({ nights: 8, guests: 3, extraGuests: 1 });
+    expect(booking.priceBreakdown.toObject()).toEqual(quote);
+  });
+});
@@ -0,0 +1,46 @@
+const express = require('express');
+const request = require('supertest');
+const { upload } = require('../storage/files');
+const { errorHandler } = require('../middleware/errors');
+
+// The upload middleware as the property routes use it, behind the app's error handler
+const app = express();
+app.post('/upload', upload.array('images', 2), (req, res) => {
+  res.json({ success: true, files: req.files.length });
+});
+app.use(errorHandler);
+
+describe('image uploads', () => {
+  it('accepts images', async () => {
+    const res = await request(app)
+      .post('/upload')
+      .attach('images', Buffer.from('png'), { filename: 'photo.png', contentType: 'image/png' })
+      .expect(200);
+
+    expect(res.body.files).toBe(1);
+  });
+
+  it('rejects other file types with 400', async () => {
+    const res = await request(app)
+      .post('/upload')
+      .attach('images', Buffer.from('%PDF'), { filename: 'doc.pdf', contentType: 'application/pdf' })
+      .expect(400);
+
+    expect(res.body).toEqual({
+      success: false,
+      message: 'Only JPEG, PNG, WebP and GIF images are allowed'
+    });
+  });
+
+  it('rejects too many files with 400', async () => {
+    const image = { filename: 'photo.jpg', contentType: 'image/jpeg' };
+    const res = await request(app)
+      .post('/upload')
+      .attach('images', Buffer.from('1'), image)
+      .attach('images', Buffer.from('2'), image)
+      .attach('images', Buffer.from('3'), image)
+      .expect(400);
+
+    expect(res.body.success).toBe(false);
+  });
+});
@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+const request = require('supertest');
+const app = require('../app');
+const User = require('../models/User');
+const Session = require('../models/Session');
+
+// Integration test against a real MongoDB server (npm run test:db). Skipped unless
+// MONGODB_TEST_URI is set; that database is dropped before and after the run.
+const { MONGODB_TEST_URI } = process.env;
+const describeWithDb = MONGODB_TEST_URI ? describe : describe.skip;
+
+const PASSWORD = 'password123';
+
+const login = (email) => request(app)
+  .post('/api/auth/login')
+  .send({ email, password: PASSWORD });
+
+describeWithDb('account deactivation', () => {
+  let adminToken;
+  let guest;
+  let guestLogin;
+
+  beforeAll(async () => {
+    await mongoose.connect(MONGODB_TEST_URI, { serverSelectionTimeoutMS: 5000 });
+    await mongoose.connection.dropDatabase();
+
+    await User.create({ name: 'Admin', email: 'admin@example.com', password: PASSWORD, role: 'admin' });
+    guest = await User.create({ name: 'Guest', email: 'guest@example.com', password: PASSWORD });
+
+    adminToken = (await login('admin@example.com').expect(200)).body.data.token;
+    guestLogin = (await login('guest@example.com').expect(200)).body.data;
+  }, 30000);
+
+  afterAll(async () => {
+    if (mongoose.connection.readyState === 1) {
+      await mongoose.connection.dropDatabase();
+    }
+    await mongoose.disconnect();
+  });
+
+  it('only lets admins deactivate accounts', async () => {
+    await request(app)
+      .delete(`/api/users/${guest._id}`)
+      .set('Authorization', `Bearer ${guestLogin.token}`)
+      .expect(403);
+  });
+
+  it('invalidates every token of a deactivated account', async () => {
+    await request(app)
+      .delete(`/api/users/${guest._id}`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(200);
+
+    await request(app)
+      .get('/api/auth/me')
+      .set('Authorization', `Bearer ${guestLogin.token}`)
+      .expect(401);
+
+    await request(app)
+      .post('/api/auth/refresh')
+      .send({ refreshToken: guestLogin.refreshToken })
+      .expect(401);
+
+    await login('guest@example.com').expect(401);
+
+    expect(await Session.countDocuments({ user: guest._id, revokedAt: null })).toBe(0);
+  });
+});
@@ -0,0 +1,138 @@
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+// Bookings in these statuses hold their dates
+const ACTIVE_BOOKING_STATUSES = ['pending', 'confirmed'];
+
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// Longest range the calendar endpoint will build
+const MAX_CALENDAR_DAYS = 366;
+
+// Truncate a date to midnight UTC
+const startOfDay = (date) => {
+  const d = new Date(date);
+  return new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate()));
+};
+
+const addDays = (date, days) => new Date(date.getTime() + days * DAY_MS);
+
+// YYYY-MM-DD key for a date
+const toDateKey = (date) => date.toISOString().slice(0, 10);
+
+// Mongo filter matching active bookings whose stay overlaps [checkIn, checkOut).
+// A stay checking out on the day another checks in does not overlap it.
+const overlapFilter = (checkIn, checkOut) => ({
+  status: { $in: ACTIVE_BOOKING_STATUSES },
+  checkIn: { $lt: checkOut },
+  checkOut: { $gt: checkIn }
+});
+
+// Mongo filter matching properties with no blocked range overlapping [checkIn, checkOut)
+const notBlockedFilter = (checkIn, checkOut) => ({
+  blockedDates: {
+    $not: { $elemMatch: { start: { $lt: checkOut }, end: { $gt: checkIn } } }
+  }
+});
+
+// Mongo filter matching properties whose stay rules accept a stay of [checkIn, checkOut).
+// Properties without a rule set accept the stay.
+const stayRulesFilter = (checkIn, checkOut, now = new Date()) => {
+  const nights = Math.ceil((checkOut - checkIn) / DAY_MS);
+  const leadDays = Math.floor((startOfDay(checkIn) - startOfDay(now)) / DAY_MS);
+  const weekday = checkIn.getUTCDay();
+
+  return {
+    'stayRules.minNights': { $not: { $gt: nights } },
+    'stayRules.maxNights': { $not: { $lt: nights } },
+    'stayRules.advanceNoticeDays': { $not: { $gt: leadDays } },
+    'stayRules.bookingWindowDays': { $not: { $lt: leadDays } },
+    $or: [
+      { 'stayRules.checkInDays': { $exists: false } },
+      { 'stayRules.checkInDays': { $size: 0 } },
+      { 'stayRules.checkInDays': weekday }
+    ]
+  };
+};
+
+// Owner-blocked range of a property overlapping [start, end), if any
+const findBlockedRange = (property, start, end) =>
+  (property.blockedDates || []).find(range => range.start < end && range.end > start);
+
+// Check a stay against the property's stay rules.
+// Returns a message describing the first broken rule, or null if the stay is allowed.
+const checkStayRules = (property, checkIn, checkOut, now = new Date()) => {
+  const rules = property.stayRules || {};
+  const nights = Math.ceil((checkOut - checkIn) / DAY_MS);
+  const leadDays = Math.floor((startOfDay(checkIn) - startOfDay(now)) / DAY_MS);
+
+  if (rules.minNights && nights < rules.minNights) {
+    return `Minimum stay is ${rules.minNights} nights`;
+  }
+
+  if (rules.maxNights && nights > rules.maxNights) {
+    return `Maximum stay is ${rules.maxNights} nights`;
+  }
+
+  if (rules.checkInDays && rules.checkInDays.length > 0 &&
+      !rules.checkInDays.includes(checkIn.getUTCDay())) {
+    const days = rules.checkInDays.map(d => WEEKDAYS[d]).join(', ');
+    return `Check-in is only allowed on ${days}`;
+  }
+
+  if (rules.advanceNoticeDays && leadDays < rules.advanceNoticeDays) {
+    return `Bookings require ${rules.advanceNoticeDays} days notice`;
+  }
+
+  if (rules.bookingWindowDays && leadDays > rules.bookingWindowDays) {
+    return `Bookings can be made at most ${rules.bookingWindowDays} days in advance`;
+  }
+
+  return null;
+};
+
+// Build a night-by-night calendar for [from, to) from a property and its active bookings.
+// Each night is 'booked' (held by a booking), 'blocked' (owner made it unavailable, or it
+// falls inside the advance-notice window) or 'free'. checkInAllowed tells a date picker
+// whether a stay may start on that night under the property's stay rules.
+const buildCalendar = ({ property, bookings, from, to, now = new Date() }) => {
+  const rules = property.stayRules || {};
+  const today = startOfDay(now);
+  const earliestCheckIn = addDays(today, rules.advanceNoticeDays || 0);
+  const latestCheckIn = rules.bookingWindowDays ? addDays(today, rules.bookingWindowDays) : null;
+  const days = [];
+
+  for (let day = startOfDay(from); day < to; day = addDays(day, 1)) {
+    const nextDay = addDays(day, 1);
+    const booking = bookings.find(b => b.checkIn < nextDay && b.checkOut > day);
+
+    let status = 'free';
+    if (booking) {
+      status = 'booked';
+    } else if (!property.isAvailable || day < earliestCheckIn || findBlockedRange(property, day, nextDay)) {
+      status = 'blocked';
+    }
+
+    const checkInAllowed = status === 'free' &&
+      (!latestCheckIn || day <= latestCheckIn) &&
+      (!rules.checkInDays || rules.checkInDays.length === 0 || rules.checkInDays.includes(day.getUTCDay()));
+
+    days.push({ date: toDateKey(day), status, checkInAllowed });
+  }
+
+  return days;
+};
+
+module.exports = {
+  DAY_MS,
+  ACTIVE_BOOKING_STATUSES,
+  MAX_CALENDAR_DAYS,
+  startOfDay,
+  addDays,
+  toDateKey,
+  overlapFilter,
+  notBlockedFilter,
+  stayRulesFilter,
+  findBlockedRange,
+  checkStayRules,
+  buildCalendar
+};
@@ -0,0 +1,79 @@
+const { DAY_MS } = require('./availability');
+
+// Refund tiers per preset policy. A tier applies when the guest cancels at least
+// `daysBefore` days before check-in; the first matching tier wins, otherwise nothing is refunded.
+const POLICY_TIERS = {
+  flexible: [
+    { daysBefore: 1, refundPercent: 100 }
+  ],
+  moderate: [
+    { daysBefore: 5, refundPercent: 100 },
+    { daysBefore: 0, refundPercent: 50 }
+  ],
+  strict: [
+    { daysBefore: 14, refundPercent: 100 },
+    { daysBefore: 7, refundPercent: 50 }
+  ]
+};
+
+const CANCELLATION_POLICIES = [...Object.keys(POLICY_TIERS), 'custom'];
+
+// Snapshot of a property's policy with its tiers resolved, sorted by daysBefore descending
+const resolvePolicy = (policy = {}) => {
+  const type = policy.type || 'flexible';
+  const tiers = type === 'custom' ? (policy.tiers || []) : POLICY_TIERS[type];
+
+  return {
+    type,
+    tiers: tiers
+      .map(({ daysBefore, refundPercent }) => ({ daysBefore, refundPercent }))
+      .sort((a, b) => b.daysBefore - a.daysBefore)
+  };
+};
+
+// Refund owed when a booking is cancelled by `role` at `now`.
+// Guests get what the booking's policy allows; cancellations by the host, an admin or
+// the system are always refunded in full. Only paid bookings have money to return.
+const computeRefund = (booking, role, now = new Date()) => {
+  const policy = booking.cancellationPolicy && booking.cancellationPolicy.type
+    ? booking.cancellationPolicy
+    : resolvePolicy();
+  const daysBeforeCheckIn = Math.floor((booking.checkIn - now) / DAY_MS);
+
+  let percent = 100;
+  if (role === 'guest') {
+    const tier = policy.tiers.find(t => daysBeforeCheckIn >= t.daysBefore);
+    percent = tier ? tier.refundPercent : 0;
+  }
+
+  const paid = booking.paymentStatus === 'paid';
+  const amount = paid ? Math.round(booking.totalPrice * percent) / 100 : 0;
+
+  return {
+    policy: policy.type,
+    daysBeforeCheckIn,
+    percent,
+    amount,
+    computedAt: now
+  };
+};
+
+// Fields to set on a booking when it is cancelled: the refund and the resulting paymentStatus
+const cancellationUpdate = (booking, role, now = new Date()) => {
+  const refund = computeRefund(booking, role, now);
+  const update = { refund };
+
+  if (refund.amount > 0) {
+    update.paymentStatus = refund.percent >= 100 ? 'refunded' : 'partially_refunded';
+  }
+
+  return update;
+};
+
+module.exports = {
+  POLICY_TIERS,
+  CANCELLATION_POLICIES,
+  resolvePolicy,
+  computeRefund,
+  cancellationUpdate
+};
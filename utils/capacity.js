@@ -0,0 +1,66 @@
+// Party size for a booking. guests counts adults and children; infants and pets are extra.
+const normalizeParty = ({ guests, adults, children, infants, pets }) => {
+  const childCount = Number(children || 0);
+  const total = Number(guests);
+  return {
+    guests: total,
+    adults: adults != null ? Number(adults) : total - childCount,
+    children: childCount,
+    infants: Number(infants || 0),
+    pets: Number(pets || 0)
+  };
+};
+
+// Check a party against the property's capacity limits.
+// Returns a message describing the first exceeded limit, or null if the party fits.
+const checkCapacity = (property, party) => {
+  if (party.adults < 1) {
+    return 'At least one adult is required';
+  }
+
+  if (party.adults + party.children !== party.guests) {
+    return 'Adults and children must add up to the number of guests';
+  }
+
+  if (property.maxGuests && party.guests > property.maxGuests) {
+    return `This property allows at most ${property.maxGuests} guests`;
+  }
+
+  if (property.maxAdults && party.adults > property.maxAdults) {
+    return `This property allows at most ${property.maxAdults} adults`;
+  }
+
+  if (property.maxChildren != null && party.children > property.maxChildren) {
+    return `This property allows at most ${property.maxChildren} children`;
+  }
+
+  if (property.maxInfants != null && party.infants > property.maxInfants) {
+    return `This property allows at most ${property.maxInfants} infants`;
+  }
+
+  if (party.pets > 0 && !property.petsAllowed) {
+    return 'Pets are not allowed at this property';
+  }
+
+  return null;
+};
+
+// Mongo filter matching properties that can host the given party.
+// Limits that are not set on a property do not exclude it.
+const capacityFilter = ({ guests, adults, children, infants, pets }) => {
+  const filter = {};
+
+  if (guests) filter.maxGuests = { $not: { $lt: guests } };
+  if (adults) filter.maxAdults = { $not: { $lt: adults } };
+  if (children) filter.maxChildren = { $not: { $lt: children } };
+  if (infants) filter.maxInfants = { $not: { $lt: infants } };
+  if (pets) filter.petsAllowed = true;
+
+  return filter;
+};
+
+module.exports = {
+  normalizeParty,
+  checkCapacity,
+  capacityFilter
+};
@@ -0,0 +1,25 @@
+const EventEmitter = require('events');
+
+// In-process bus for domain events, so routes and jobs can announce what happened
+// without knowing who reacts (realtime pushes, notifications, ...).
+//
+//   user:registered        { user, verifyUrl }                  new account
+//   booking:created        { booking, property }                new booking request
+//   booking:statusChanged  { booking, from, to, role, user }    any status transition
+//   message:created        { message, conversation, recipients } new chat message
+//   review:created         { review, recipient, property, published } review of a stay or guest
+//   notification:created   { notification }                     in-app notification stored
+//   host:reviewed          { user, status, reason }             admin verified or rejected a host application
+//   property:statusChanged { property, from, to, role, user, reason } listing lifecycle transition
+const events = new EventEmitter();
+
+// Register an async listener whose failures are logged instead of crashing the process
+events.onAsync = (name, listener) => {
+  events.on(name, (payload) => {
+    Promise.resolve()
+      .then(() => listener(payload))
+      .catch(error => console.error(`Error in ${name} listener:`, error));
+  });
+};
+
+module.exports = events;
@@ -0,0 +1,111 @@
+// Declarative access rules.
+//
+// Account-level permissions come from the user's role. Property-level permissions come
+// from the user's relationship to a property: its owner, or a team member added by the
+// owner (see Property.managers). Admins hold every permission.
+
+// Permissions granted by User.role. Admin-only permissions used by the routes:
+// booking:readAll, booking:manageAll, booking:delete, user:manage, host:review, review:moderate,
+// property:moderate, conversation:readAll
+const ROLE_PERMISSIONS = {
+  user: [
+    'booking:create'
+  ],
+  host: [
+    'booking:create',
+    'property:create'
+  ],
+  admin: ['*']
+};
+
+// Permissions on one property, by the user's relationship to it
+const PROPERTY_ROLE_PERMISSIONS = {
+  owner: [
+    'property:update',
+    'property:delete',
+    'property:calendar',
+    'property:bookings',
+    'property:team'
+  ],
+  // Runs the listing day to day: edits it, manages its calendar and bookings
+  manager: [
+    'property:update',
+    'property:calendar',
+    'property:bookings'
+  ],
+  // Helps with guests: handles bookings and the calendar, can't edit the listing
+  cohost: [
+    'property:calendar',
+    'property:bookings'
+  ]
+};
+
+const PROPERTY_TEAM_ROLES = ['manager', 'cohost'];
+
+const grants = (permissions, permission) =>
+  permissions.includes('*') || permissions.includes(permission);
+
+// The role whose permissions apply; hosts act as plain users until verified
+const effectiveRole = (user) => {
+  if (user.role === 'host' && user.hostProfile?.status !== 'verified') return 'user';
+  return user.role;
+};
+
+// Account-level check, e.g. can(user, 'property:create')
+const can = (user, permission) => {
+  if (!user) return false;
+  return grants(ROLE_PERMISSIONS[effectiveRole(user)] || [], permission);
+};
+
+// 'owner', 'manager', 'cohost' or null. property.owner and team members may be
+// ids or populated users.
+const propertyRole = (property, user) => {
+  if (!property || !user) return null;
+
+  const userId = user._id.toString();
+  const idOf = (ref) => (ref && ref._id ? ref._id : ref).toString();
+
+  if (idOf(property.owner) === userId) return 'owner';
+
+  const member = (property.managers || []).find(m => idOf(m.user) === userId);
+  return member ? member.role : null;
+};
+
+// Property-level check, e.g. canOnProperty(user, property, 'property:bookings')
+const canOnProperty = (user, property, permission) => {
+  if (!user) return false;
+  if (can(user, permission)) return true;
+
+  const role = propertyRole(property, user);
+  return Boolean(role) && grants(PROPERTY_ROLE_PERMISSIONS[role], permission);
+};
+
+// Unpublished listings are only visible to their owner, team and admins
+const canViewUnpublished = (user, property) =>
+  Boolean(user) && (Boolean(propertyRole(property, user)) || can(user, 'property:moderate'));
+
+// The owner and the team members whose role grants `permission` on a property, as stored
+// (ids, or users when populated). Used to notify everyone who handles a property's guests.
+const propertyTeam = (property, permission = 'property:bookings') => [
+  property.owner,
+  ...(property.managers || [])
+    .filter(member => grants(PROPERTY_ROLE_PERMISSIONS[member.role] || [], permission))
+    .map(member => member.user)
+].filter(Boolean);
+
+// Query matching the properties a user owns or helps manage
+const managedPropertiesFilter = (userId) => ({
+  $or: [{ owner: userId }, { 'managers.user': userId }]
+});
+
+module.exports = {
+  ROLE_PERMISSIONS,
+  PROPERTY_ROLE_PERMISSIONS,
+  PROPERTY_TEAM_ROLES,
+  can,
+  propertyRole,
+  canOnProperty,
+  canViewUnpublished,
+  propertyTeam,
+  managedPropertiesFilter
+};
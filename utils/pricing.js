@@ -0,0 +1,77 @@
+const { DAY_MS, startOfDay, addDays, toDateKey } = require('./availability');
+
+const WEEKLY_NIGHTS = 7;
+const MONTHLY_NIGHTS = 28;
+
+// Round to cents
+const round = (amount) => Math.round(amount * 100) / 100;
+
+// Nightly rate for a single night, with the rule that set it.
+// Seasonal rates win over weekend rates, which win over the base price.
+const nightlyRate = (property, night) => {
+  const pricing = property.pricing || {};
+
+  const season = (pricing.seasonalRates || [])
+    .find(rate => rate.start <= night && rate.end > night);
+  if (season) {
+    return { price: season.price, rateType: 'seasonal', season: season.name };
+  }
+
+  const weekendDays = pricing.weekendDays || [];
+  if (pricing.weekendPrice != null && weekendDays.includes(night.getUTCDay())) {
+    return { price: pricing.weekendPrice, rateType: 'weekend' };
+  }
+
+  return { price: property.price, rateType: 'base' };
+};
+
+// Itemized price for a stay of [checkIn, checkOut) for the given number of guests
+const quoteStay = (property, checkIn, checkOut, guests = 1) => {
+  const pricing = property.pricing || {};
+  const nights = Math.ceil((checkOut - checkIn) / DAY_MS);
+
+  const nightlyRates = [];
+  let night = startOfDay(checkIn);
+  for (let i = 0; i < nights; i++, night = addDays(night, 1)) {
+    nightlyRates.push({ date: toDateKey(night), ...nightlyRate(property, night) });
+  }
+
+  const accommodation = round(nightlyRates.reduce((sum, n) => sum + n.price, 0));
+
+  let discount = { type: 'none', percent: 0, amount: 0 };
+  if (nights >= MONTHLY_NIGHTS && pricing.monthlyDiscount > 0) {
+    discount = { type: 'monthly', percent: pricing.monthlyDiscount };
+  } else if (nights >= WEEKLY_NIGHTS && pricing.weeklyDiscount > 0) {
+    discount = { type: 'weekly', percent: pricing.weeklyDiscount };
+  }
+  discount.amount = round(accommodation * discount.percent / 100);
+
+  const cleaningFee = round(pricing.cleaningFee || 0);
+
+  const extraGuests = pricing.includedGuests ? Math.max(0, guests - pricing.includedGuests) : 0;
+  const extraGuestFee = round(extraGuests * (pricing.extraGuestFee || 0) * nights);
+
+  const taxable = accommodation - discount.amount + cleaningFee + extraGuestFee;
+  const taxes = {
+    percent: pricing.taxRate || 0,
+    amount: round(taxable * (pricing.taxRate || 0) / 100)
+  };
+
+  return {
+    nights,
+    guests,
+    nightlyRates,
+    accommodation,
+    discount,
+    cleaningFee,
+    extraGuests,
+    extraGuestFee,
+    taxes,
+    total: round(taxable + taxes.amount)
+  };
+};
+
+module.exports = {
+  nightlyRate,
+  quoteStay
+};
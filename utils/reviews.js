@@ -0,0 +1,42 @@
+const Review = require('../models/Review');
+const GuestReview = require('../models/GuestReview');
+const { addDays } = require('./availability');
+
+// Days after check-out during which guest and host may review each other.
+// Reviews stay hidden until both sides have submitted or the window closes.
+const REVIEW_WINDOW_DAYS = Number(process.env.REVIEW_WINDOW_DAYS) || 14;
+
+// When the review window of a booking closes
+const reviewDeadline = (booking) => addDays(booking.checkOut, REVIEW_WINDOW_DAYS);
+
+// Publish both reviews of a booking once guest and host have each submitted one.
+// Resolves to true if the pair was published.
+const publishIfComplete = async (bookingId) => {
+  const [review, guestReview] = await Promise.all([
+    Review.findOne({ booking: bookingId }),
+    GuestReview.findOne({ booking: bookingId })
+  ]);
+
+  if (!review || !guestReview) {
+    return false;
+  }
+
+  const publishedAt = new Date();
+  await Promise.all([
+    Review.updateOne({ _id: review._id, published: false }, { published: true, publishedAt }),
+    GuestReview.updateOne({ _id: guestReview._id, published: false }, { published: true, publishedAt })
+  ]);
+
+  await Promise.all([
+    Review.recalculateRating(review.property),
+    GuestReview.recalculateGuestRating(guestReview.guest)
+  ]);
+
+  return true;
+};
+
+module.exports = {
+  REVIEW_WINDOW_DAYS,
+  reviewDeadline,
+  publishIfComplete
+};